@@ -0,0 +1,414 @@
+"use strict";
+
+const express = require("express");
+const business = require("./business");
+const { DomainError } = require("./errors");
+
+/**
+ * JSON REST API, mounted at /api/v1.
+ *
+ * Clients authenticate with an API token issued on /account/tokens:
+ *   Authorization: Bearer <token>
+ * Browser cookie sessions are not accepted here.
+ *
+ * Errors are returned as { error: { status, message } }.
+ */
+const router = express.Router();
+
+router.use(express.json());
+
+/**
+ * Send a JSON error.
+ *
+ * @param {Object} res
+ * @param {number} status
+ * @param {string} message
+ * @returns {void}
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ error: { status: status, message: message } });
+}
+
+/**
+ * Read a JSON body field as a trimmed string.
+ *
+ * @param {Object} body
+ * @param {string} field
+ * @returns {string}
+ */
+function readJsonField(body, field) {
+  if (!body || typeof body[field] !== "string") {
+    return "";
+  }
+
+  return body[field].trim();
+}
+
+/**
+ * Employee document as returned by the API.
+ *
+ * @param {Object} employee
+ * @returns {Object}
+ */
+function employeeJson(employee) {
+  return {
+    id: String(employee._id),
+    name: employee.name,
+    phone: employee.phone,
+    active: business.isActive(employee)
+  };
+}
+
+/**
+ * Shift document as returned by the API.
+ *
+ * @param {Object} shift
+ * @returns {Object}
+ */
+function shiftJson(shift) {
+  const employeeIds = [];
+  const assigned = shift.employees || [];
+
+  for (let i = 0; i < assigned.length; i++) {
+    employeeIds.push(String(assigned[i]));
+  }
+
+  return {
+    id: String(shift._id),
+    date: shift.date,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    requiredHeadcount: business.getRequiredHeadcount(shift),
+    requiredPositions: shift.requiredPositions || [],
+    employeeIds: employeeIds
+  };
+}
+
+/**
+ * Shift fields from a JSON body. requiredHeadcount and requiredPositions
+ * are optional and left undefined when missing.
+ *
+ * @param {Object} body
+ * @returns {Object}
+ */
+function readShiftJson(body) {
+  const shift = {
+    date: readJsonField(body, "date"),
+    startTime: readJsonField(body, "startTime"),
+    endTime: readJsonField(body, "endTime")
+  };
+
+  if (body && body.requiredHeadcount !== undefined) {
+    shift.requiredHeadcount = body.requiredHeadcount;
+  }
+
+  if (body && body.requiredPositions !== undefined) {
+    shift.requiredPositions = [];
+
+    if (Array.isArray(body.requiredPositions)) {
+      for (let i = 0; i < body.requiredPositions.length; i++) {
+        const item = body.requiredPositions[i] || {};
+
+        shift.requiredPositions.push({
+          position: typeof item.position === "string" ? item.position.trim().toLowerCase() : "",
+          count: item.count
+        });
+      }
+    } else {
+      shift.requiredPositions.push({ position: "", count: 0 });
+    }
+  }
+
+  return shift;
+}
+
+/**
+ * Authenticate the request with a bearer API token.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {Promise<void>}
+ */
+async function requireApiToken(req, res, next) {
+  const header = req.get("authorization") || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+
+  if (!match) {
+    return sendError(res, 401, "Missing API token");
+  }
+
+  const user = await business.authenticateApiToken(match[1]);
+
+  if (!user) {
+    return sendError(res, 401, "Invalid API token");
+  }
+
+  req.user = user;
+  next();
+}
+
+/**
+ * Only let admin tokens through.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void}
+ */
+function requireApiAdmin(req, res, next) {
+  if (req.user.role !== "admin") {
+    return sendError(res, 403, "Admin role required");
+  }
+
+  next();
+}
+
+/**
+ * Admins can read every employee, staff only their own linked record.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void}
+ */
+function requireApiSelfOrAdmin(req, res, next) {
+  if (req.user.role === "admin" || req.user.employeeId === req.params.id) {
+    return next();
+  }
+
+  sendError(res, 403, "You can only access your own employee record");
+}
+
+router.use(requireApiToken);
+
+/**
+ * Route parameter check: IDs are MongoDB ObjectIds, anything else cannot exist.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {string} value
+ * @returns {void}
+ */
+function checkObjectId(req, res, next, value) {
+  if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+    return sendError(res, 404, "Not found");
+  }
+
+  next();
+}
+
+router.param("id", checkObjectId);
+router.param("employeeId", checkObjectId);
+
+/**
+ * GET /employees - active employees.
+ */
+router.get("/employees", requireApiAdmin, async function (req, res) {
+  const employees = await business.listEmployees();
+  const result = [];
+
+  for (let i = 0; i < employees.length; i++) {
+    result.push(employeeJson(employees[i]));
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /employees - { name, phone }
+ * Responds 201 with the new employee.
+ */
+router.post("/employees", requireApiAdmin, async function (req, res) {
+  const emp = { name: readJsonField(req.body, "name"), phone: readJsonField(req.body, "phone") };
+
+  const empId = await business.addEmployee(emp);
+
+  res.status(201).json(employeeJson(await business.getEmployee(empId)));
+});
+
+/**
+ * GET /employees/:id
+ */
+router.get("/employees/:id", requireApiSelfOrAdmin, async function (req, res) {
+  const employee = await business.getEmployee(req.params.id);
+
+  if (!employee) {
+    return sendError(res, 404, "Employee does not exist");
+  }
+
+  res.json(employeeJson(employee));
+});
+
+/**
+ * PUT /employees/:id - { name, phone }
+ */
+router.put("/employees/:id", requireApiAdmin, async function (req, res) {
+  const name = readJsonField(req.body, "name");
+  const phone = readJsonField(req.body, "phone");
+
+  await business.updateEmployee(req.params.id, name, phone);
+
+  res.json(employeeJson(await business.getEmployee(req.params.id)));
+});
+
+/**
+ * GET /employees/:id/schedule - shifts sorted by date and start time.
+ */
+router.get("/employees/:id/schedule", requireApiSelfOrAdmin, async function (req, res) {
+  const employee = await business.getEmployee(req.params.id);
+
+  if (!employee) {
+    return sendError(res, 404, "Employee does not exist");
+  }
+
+  const shifts = await business.getScheduleForEmployeeSorted(req.params.id);
+  const result = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    result.push(shiftJson(shifts[i]));
+  }
+
+  res.json(result);
+});
+
+/**
+ * GET /shifts
+ */
+router.get("/shifts", requireApiAdmin, async function (req, res) {
+  const shifts = await business.listShifts();
+  const result = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    result.push(shiftJson(shifts[i]));
+  }
+
+  res.json(result);
+});
+
+/**
+ * POST /shifts - { date, startTime, endTime, requiredHeadcount?, requiredPositions? }
+ * requiredPositions is a list of { position, count }.
+ * Responds 201 with the new shift.
+ */
+router.post("/shifts", requireApiAdmin, async function (req, res) {
+  const shift = readShiftJson(req.body);
+
+  const shiftId = await business.createShift(shift);
+
+  res.status(201).json(shiftJson(await business.getShift(shiftId)));
+});
+
+/**
+ * GET /shifts/:id
+ */
+router.get("/shifts/:id", requireApiAdmin, async function (req, res) {
+  const shift = await business.getShift(req.params.id);
+
+  if (!shift) {
+    return sendError(res, 404, "Shift does not exist");
+  }
+
+  res.json(shiftJson(shift));
+});
+
+/**
+ * PUT /shifts/:id - { date, startTime, endTime, requiredHeadcount?, requiredPositions? }
+ * Staffing fields left out keep their current values.
+ */
+router.put("/shifts/:id", requireApiAdmin, async function (req, res) {
+  const shift = readShiftJson(req.body);
+
+  await business.updateShift(req.params.id, shift);
+
+  res.json(shiftJson(await business.getShift(req.params.id)));
+});
+
+/**
+ * DELETE /shifts/:id
+ */
+router.delete("/shifts/:id", requireApiAdmin, async function (req, res) {
+  await business.deleteShift(req.params.id);
+
+  res.status(204).end();
+});
+
+/**
+ * POST /shifts/:id/employees - { employeeId, override } assigns an employee.
+ * override: true allows a full shift or a shorter rest period than minRestHours.
+ */
+router.post("/shifts/:id/employees", requireApiAdmin, async function (req, res) {
+  const empId = readJsonField(req.body, "employeeId");
+
+  if (!/^[0-9a-fA-F]{24}$/.test(empId)) {
+    return sendError(res, 404, "Employee does not exist");
+  }
+
+  await business.assignShift(empId, req.params.id, { override: req.body.override === true });
+
+  res.status(201).json(shiftJson(await business.getShift(req.params.id)));
+});
+
+/**
+ * DELETE /shifts/:id/employees/:employeeId - removes an employee.
+ */
+router.delete("/shifts/:id/employees/:employeeId", requireApiAdmin, async function (req, res) {
+  await business.unassignShift(req.params.employeeId, req.params.id);
+
+  res.status(204).end();
+});
+
+/**
+ * GET /schedule?view=week|month&date=YYYY-MM-DD - calendar of all shifts.
+ */
+router.get("/schedule", requireApiAdmin, async function (req, res) {
+  let view = req.query.view;
+
+  if (view !== "month") {
+    view = "week";
+  }
+
+  let date = "";
+
+  if (typeof req.query.date === "string") {
+    date = req.query.date;
+  }
+
+  res.json(await business.getCalendar(view, date));
+});
+
+/**
+ * Unknown API route.
+ */
+router.use(function (req, res) {
+  sendError(res, 404, "Not found");
+});
+
+/**
+ * Anything thrown by a route: log it, answer with JSON.
+ */
+router.use(function (err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof DomainError) {
+    return sendError(res, err.status, err.message);
+  }
+
+  // Malformed JSON bodies from express.json()
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "Request body is not valid JSON");
+  }
+
+  // Other client errors from express.json(), e.g. 413 or 415
+  if (err.expose === true && err.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.message);
+  }
+
+  console.error(err);
+  sendError(res, 500, "Internal server error");
+});
+
+module.exports = router;
\ No newline at end of file
@@ -2,22 +2,63 @@
 
 const express = require("express");
 const path = require("path");
-const fs = require("fs/promises");
-const fsSync = require("fs");
-const { MongoClient } = require("mongodb");
+const crypto = require("crypto");
 const cookieParser = require("cookie-parser");
 const business = require("./business");
+const { DomainError, NotFoundError, ValidationError, ForbiddenError } = require("./errors");
+const { getSettings, getDb, closeDb } = require("./db");
 const bcrypt = require("bcrypt");
-const crypto = require("crypto");
+const sessionStores = require("./sessionStore");
+const loginGuard = require("./loginGuard");
+const apiRouter = require("./api");
+const photos = require("./photos");
+const multer = require("multer");
 
 const app = express();
 
-const SETTINGS_FILE = "config.json";
-const DB_NAME = "infs3201_winter2026";
 const SESSION_DURATION_MS = 5 * 60 * 1000;
-const PHOTO_FOLDER = path.join(__dirname, "employee_photos");
-
-const sessions = {};
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Methods that must not change anything, so they need no CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Pages only load their own styles and images and cannot be framed
+const CONTENT_SECURITY_POLICY = [
+  "default-src 'self'",
+  "img-src 'self' data:",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'"
+].join("; ");
+
+// Used for absolute links when config.json has no baseUrl
+const DEFAULT_BASE_URL = "http://localhost:3090";
+
+// Headings of the error page by HTTP status
+const ERROR_TITLES = {
+  400: "Invalid Input",
+  403: "Forbidden",
+  404: "Not Found",
+  409: "Not Possible",
+  500: "Something Went Wrong"
+};
+
+// Photos are checked in photos.js, so keep them in memory and allow one byte
+// over the limit to tell "too large" apart from "exactly at the limit"
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: photos.MAX_PHOTO_BYTES + 1, files: 1 }
+}).single("photo");
+
+// SESSION_STORE=memory keeps sessions in this process only (used for tests)
+let sessionStore;
+
+if (process.env.SESSION_STORE === "memory") {
+  sessionStore = sessionStores.createMemoryStore(SESSION_DURATION_MS);
+} else {
+  sessionStore = sessionStores.createMongoStore(SESSION_DURATION_MS);
+}
 
 app.engine(
   "hbs",
@@ -35,134 +76,150 @@ app.use(cookieParser());
 app.use(express.static(path.join(__dirname, "public")));
 
 /**
- * Read settings from config.json.
+ * Write one security log entry once the response has been sent,
+ * so the entry can include the response status code.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string} username
+ * @param {string} eventType - "request", "login_success", "login_failure" or "login_locked"
+ * @returns {void}
+ */
+function writeSecurityLog(req, res, username, eventType) {
+  res.on("finish", function () {
+    business.recordSecurityLog({
+      username: username,
+      // calendar feed tokens are secrets, keep them out of the log
+      url: req.originalUrl.replace(/([?&](?:token|_csrf)=)[^&]*/g, "$1REDACTED"),
+      method: req.method,
+      eventType: eventType,
+      ip: req.ip,
+      statusCode: res.statusCode
+    }).catch(function (err) {
+      console.error(err);
+    });
+  });
+}
+
+/**
+ * Options for the session and CSRF cookies. sameSite and secure come from
+ * config.json "cookies"; the defaults (lax, not secure) also work over
+ * plain HTTP on localhost.
  *
- * @returns {Promise<{ mongoUri: string }>}
+ * @param {number} [maxAge] - lifetime in ms, left out for a browser-session cookie
+ * @returns {Object}
  */
-async function readSettings() {
-  const fileText = await fs.readFile(SETTINGS_FILE, "utf8");
-  const obj = JSON.parse(fileText);
+function getCookieOptions(maxAge) {
+  const configured = getSettings().cookies || {};
+  let sameSite = "lax";
+
+  if (["strict", "lax", "none"].indexOf(configured.sameSite) !== -1) {
+    sameSite = configured.sameSite;
+  }
 
-  const uri = String(obj.mongoUri || "").trim();
+  const options = {
+    httpOnly: true,
+    sameSite: sameSite,
+    // Browsers drop sameSite=none cookies that are not secure
+    secure: configured.secure === true || sameSite === "none"
+  };
 
-  if (!uri) {
-    throw new Error("Missing mongoUri in config.json");
+  if (maxAge) {
+    options.maxAge = maxAge;
   }
 
-  return { mongoUri: uri };
+  return options;
 }
 
 /**
- * Find user by username.
+ * Public address of the app for links that leave the browser, such as the
+ * calendar feed. Read from config.json "baseUrl" rather than the Host
+ * header, which the client controls.
  *
- * @param {string} username
- * @returns {Promise<Object|null>}
+ * @returns {string} Without a trailing slash.
  */
-async function findUserByUsername(username) {
-  const settings = await readSettings();
-  const client = new MongoClient(settings.mongoUri);
-
-  try {
-    await client.connect();
-    const db = client.db(DB_NAME);
+function getBaseUrl() {
+  const configured = String(getSettings().baseUrl || "").trim();
 
-    return await db.collection("users").findOne({ username: username });
-  } finally {
-    await client.close();
-  }
+  return (configured || DEFAULT_BASE_URL).replace(/\/+$/, "");
 }
 
 /**
- * Write one security log entry.
+ * Message shown on the login page for a locked account.
  *
- * @param {string} username
- * @param {string} url
- * @param {string} method
- * @returns {Promise<void>}
+ * @param {number} remainingMs
+ * @returns {string}
  */
-async function writeSecurityLog(username, url, method) {
-  const settings = await readSettings();
-  const client = new MongoClient(settings.mongoUri);
-
-  try {
-    await client.connect();
-    const db = client.db(DB_NAME);
+function lockedMessage(remainingMs) {
+  const minutes = Math.ceil(remainingMs / 60000);
 
-    await db.collection("security_log").insertOne({
-      timestamp: new Date(),
-      username: username,
-      url: url,
-      method: method
-    });
-  } finally {
-    await client.close();
-  }
+  return "Account locked after too many failed logins. Try again in " + minutes + " minute(s).";
 }
 
 /**
  * Create a new session.
  *
- * @param {string} username
- * @returns {string}
+ * @param {Object} user - user document from the users collection
+ * @returns {Promise<string>}
  */
-function createSession(username) {
-  const sessionId = crypto.randomBytes(32).toString("hex");
+async function createSession(user) {
+  let employeeId = "";
 
-  sessions[sessionId] = {
-    username: username,
-    expiresAt: Date.now() + SESSION_DURATION_MS
-  };
+  if (user.employeeId) {
+    employeeId = String(user.employeeId);
+  }
 
-  return sessionId;
+  return await sessionStore.createSession({
+    username: user.username,
+    role: business.getUserRole(user),
+    employeeId: employeeId
+  });
 }
 
 /**
  * Return session if valid, otherwise null.
  *
  * @param {string} sessionId
- * @returns {Object|null}
+ * @returns {Promise<Object|null>}
  */
-function getSession(sessionId) {
-  if (typeof sessionId !== "string") {
-    return null;
-  }
-
-  const session = sessions[sessionId];
-
-  if (!session) {
-    return null;
-  }
+async function getSession(sessionId) {
+  return await sessionStore.getSession(sessionId);
+}
 
-  if (Date.now() > session.expiresAt) {
-    delete sessions[sessionId];
-    return null;
+/**
+ * The session of the current request, looked up once and kept on
+ * req.session so the logging, CSRF and login middleware share one read.
+ * A failed lookup is not cached; the next caller tries again.
+ *
+ * @param {Object} req
+ * @returns {Promise<Object|null>}
+ */
+async function loadSession(req) {
+  if (req.session === undefined) {
+    req.session = await getSession(req.cookies.sessionId);
   }
 
-  return session;
+  return req.session;
 }
 
 /**
  * Extend session for another 5 minutes.
  *
  * @param {string} sessionId
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function extendSession(sessionId) {
-  if (sessions[sessionId]) {
-    sessions[sessionId].expiresAt = Date.now() + SESSION_DURATION_MS;
-  }
+async function extendSession(sessionId) {
+  await sessionStore.extendSession(sessionId);
 }
 
 /**
  * Delete session.
  *
  * @param {string} sessionId
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function deleteSession(sessionId) {
-  if (sessions[sessionId]) {
-    delete sessions[sessionId];
-  }
+async function deleteSession(sessionId) {
+  await sessionStore.deleteSession(sessionId);
 }
 
 /**
@@ -171,26 +228,108 @@ function deleteSession(sessionId) {
  * @param {Object} req
  * @param {Object} res
  * @param {Function} next
+ * @returns {Promise<void>}
+ */
+async function securityLogMiddleware(req, res, next) {
+  let username = "unknown";
+
+  try {
+    const session = await loadSession(req);
+
+    if (session && typeof session.username === "string") {
+      username = session.username;
+    }
+  } catch (err) {
+    console.error(err);
+  }
+
+  writeSecurityLog(req, res, username, "request");
+  next();
+}
+
+/**
+ * Middleware adding security headers to every response.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
  * @returns {void}
  */
-function securityLogMiddleware(req, res, next) {
-  const sessionId = req.cookies.sessionId;
-  const session = getSession(sessionId);
+function securityHeadersMiddleware(req, res, next) {
+  res.set("Content-Security-Policy", CONTENT_SECURITY_POLICY);
+  // For older browsers that ignore frame-ancestors
+  res.set("X-Frame-Options", "DENY");
+  res.set("X-Content-Type-Options", "nosniff");
+  res.set("Referrer-Policy", "same-origin");
+  next();
+}
 
-  let username = "unknown";
+/**
+ * Compare two tokens in constant time.
+ *
+ * @param {*} sent - token from the request, may be missing
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function tokensMatch(sent, expected) {
+  if (typeof sent !== "string" || typeof expected !== "string") {
+    return false;
+  }
+
+  const given = Buffer.from(sent);
+  const wanted = Buffer.from(expected);
 
-  if (session && typeof session.username === "string") {
-    username = session.username;
+  // timingSafeEqual throws on different byte lengths, e.g. multi-byte characters
+  if (given.length !== wanted.length) {
+    return false;
   }
 
-  writeSecurityLog(username, req.originalUrl, req.method)
-    .then(function () {
-      next();
-    })
-    .catch(function (err) {
-      console.error(err);
-      next();
-    });
+  return crypto.timingSafeEqual(given, wanted);
+}
+
+/**
+ * CSRF protection. Logged-in users get the token stored with their
+ * session; visitors without one (the login form) get a token in the
+ * csrfToken cookie. Views put it in a hidden _csrf field as
+ * {{@root.csrfToken}}, and every state-changing request must send it back.
+ * Multipart forms are not parsed yet at this point, so they send the
+ * token in the query string instead.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {Promise<void>}
+ */
+async function csrfMiddleware(req, res, next) {
+  const session = await loadSession(req);
+  let token = "";
+
+  if (session && session.csrfToken) {
+    token = session.csrfToken;
+  } else if (/^[0-9a-f]{64}$/.test(req.cookies.csrfToken || "")) {
+    token = req.cookies.csrfToken;
+  } else {
+    token = crypto.randomBytes(32).toString("hex");
+    res.cookie("csrfToken", token, getCookieOptions());
+  }
+
+  res.locals.csrfToken = token;
+
+  if (SAFE_METHODS.indexOf(req.method) !== -1) {
+    return next();
+  }
+
+  let sent = req.body ? req.body._csrf : undefined;
+
+  if (req.is("multipart/form-data")) {
+    sent = req.query._csrf;
+  }
+
+  if (!tokensMatch(sent, token)) {
+    throw new ForbiddenError("This form has expired or did not come from this site. Reload the page and try again.");
+  }
+
+  next();
 }
 
 /**
@@ -199,28 +338,156 @@ function securityLogMiddleware(req, res, next) {
  * @param {Object} req
  * @param {Object} res
  * @param {Function} next
- * @returns {void}
+ * @returns {Promise<void>}
  */
-function requireLogin(req, res, next) {
+async function requireLogin(req, res, next) {
   const sessionId = req.cookies.sessionId;
-  const session = getSession(sessionId);
+  const session = await loadSession(req);
 
   if (!session) {
     return res.redirect("/login?message=Please login");
   }
 
-  extendSession(sessionId);
+  await extendSession(sessionId);
 
-  res.cookie("sessionId", sessionId, {
-    httpOnly: true,
-    maxAge: SESSION_DURATION_MS
-  });
+  res.cookie("sessionId", sessionId, getCookieOptions(SESSION_DURATION_MS));
+
+  req.user = {
+    username: session.username,
+    role: session.role,
+    employeeId: session.employeeId
+  };
+
+  next();
+}
+
+/**
+ * Render the 403 page.
+ *
+ * @param {Object} res
+ * @param {string} message
+ * @returns {void}
+ */
+function renderForbidden(res, message) {
+  res.status(403).render("forbidden", { message: message });
+}
+
+/**
+ * Build a middleware that only lets users with the given role through.
+ * Must be used after requireLogin.
+ *
+ * @param {string} role
+ * @returns {Function}
+ */
+function requireRole(role) {
+  return function (req, res, next) {
+    if (!req.user || req.user.role !== role) {
+      return renderForbidden(res, "You do not have permission to access this page.");
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware for /:id employee routes: admins see everyone,
+ * staff only their own linked employee record.
+ * Must be used after requireLogin.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @returns {void}
+ */
+function requireSelfOrAdmin(req, res, next) {
+  if (req.user.role === "admin") {
+    return next();
+  }
+
+  if (req.user.employeeId && req.user.employeeId === req.params.id) {
+    return next();
+  }
+
+  renderForbidden(res, "You can only view your own employee record.");
+}
+
+/**
+ * Run a business action for a route that reports the outcome with a
+ * ?message= redirect. Domain errors become the message; anything else
+ * goes on to the error handler.
+ *
+ * @param {Function} action - async function doing the change
+ * @returns {Promise<string>} "" on success, otherwise the message to show.
+ */
+async function tryAction(action) {
+  try {
+    await action();
+  } catch (err) {
+    if (err instanceof DomainError) {
+      return err.message;
+    }
+
+    throw err;
+  }
+
+  return "";
+}
+
+/**
+ * Route parameter check: IDs are MongoDB ObjectIds, anything else cannot
+ * exist, so it gets the 404 page instead of reaching the database.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {string} value
+ * @returns {void}
+ */
+function checkObjectId(req, res, next, value) {
+  if (!/^[0-9a-fA-F]{24}$/.test(value)) {
+    return next(new NotFoundError("Not found"));
+  }
 
   next();
 }
 
+/**
+ * Render an error page, or send { error: { status, message } } to
+ * clients that asked for JSON or requested a .json download.
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {number} status
+ * @param {string} message
+ * @returns {void}
+ */
+function sendErrorPage(req, res, status, message) {
+  res.status(status);
+
+  if (req.path.endsWith(".json") || req.accepts(["html", "json"]) === "json") {
+    return res.json({ error: { status: status, message: message } });
+  }
+
+  res.render("error", {
+    status: status,
+    title: ERROR_TITLES[status] || "Error",
+    message: message
+  });
+}
+
+app.use(securityHeadersMiddleware);
 app.use(securityLogMiddleware);
 
+// API clients send a bearer token, not cookies, so CSRF does not apply there
+app.use("/api/v1", apiRouter);
+app.use(csrfMiddleware);
+
+app.param("id", checkObjectId);
+app.param("shiftId", checkObjectId);
+app.param("employeeId", checkObjectId);
+app.param("offerId", checkObjectId);
+app.param("requestId", checkObjectId);
+
 /**
  * Login page.
  */
@@ -256,24 +523,49 @@ app.post("/login", async function (req, res) {
     return res.redirect("/login?message=Invalid login");
   }
 
-  const user = await findUserByUsername(username);
+  const ip = req.ip;
 
-  if (!user) {
+  if (loginGuard.isIpBlocked(ip)) {
+    writeSecurityLog(req, res, username, "login_locked");
+    return res.redirect("/login?message=" + encodeURIComponent("Too many failed logins from your address. Try again later."));
+  }
+
+  const user = await business.getUserByUsername(username);
+
+  if (!user || user.disabled === true) {
+    loginGuard.recordIpFailure(ip);
+    writeSecurityLog(req, res, username, "login_failure");
     return res.redirect("/login?message=Invalid login");
   }
 
+  const lockRemainingMs = loginGuard.getLockRemainingMs(user);
+
+  if (lockRemainingMs > 0) {
+    writeSecurityLog(req, res, username, "login_locked");
+    return res.redirect("/login?message=" + encodeURIComponent(lockedMessage(lockRemainingMs)));
+  }
+
   const ok = await bcrypt.compare(password, user.password);
 
   if (!ok) {
+    loginGuard.recordIpFailure(ip);
+    const nowLocked = await loginGuard.recordUserFailure(username);
+    writeSecurityLog(req, res, username, "login_failure");
+
+    if (nowLocked) {
+      const lockoutMs = loginGuard.getLoginLimits().lockoutMinutes * 60 * 1000;
+      return res.redirect("/login?message=" + encodeURIComponent(lockedMessage(lockoutMs)));
+    }
+
     return res.redirect("/login?message=Invalid login");
   }
 
-  const sessionId = createSession(username);
+  await loginGuard.clearUserFailures(username);
+  writeSecurityLog(req, res, username, "login_success");
 
-  res.cookie("sessionId", sessionId, {
-    httpOnly: true,
-    maxAge: SESSION_DURATION_MS
-  });
+  const sessionId = await createSession(user);
+
+  res.cookie("sessionId", sessionId, getCookieOptions(SESSION_DURATION_MS));
 
   res.redirect("/");
 });
@@ -281,120 +573,1510 @@ app.post("/login", async function (req, res) {
 /**
  * Logout route.
  */
-app.get("/logout", function (req, res) {
+app.post("/logout", async function (req, res) {
   const sessionId = req.cookies.sessionId;
 
-  deleteSession(sessionId);
+  await deleteSession(sessionId);
+  req.session = null;
   res.clearCookie("sessionId");
 
   res.redirect("/login?message=Logged out");
 });
 
 /**
- * Landing page: list of employees.
- */
-app.get("/", requireLogin, async function (req, res) {
-  const employees = await business.listEmployees();
-  res.render("home", { employees: employees });
-});
-
-/**
- * Employee details page.
+ * Read a form field as a trimmed string.
+ *
+ * @param {Object} body
+ * @param {string} field
+ * @returns {string}
  */
-app.get("/employees/:id", requireLogin, async function (req, res) {
-  const empId = req.params.id;
-
-  const employee = await business.getEmployee(empId);
+function readField(body, field) {
+  const value = body[field];
 
-  if (!employee) {
-    return res.status(404).send("Employee not found");
+  if (typeof value !== "string") {
+    return "";
   }
 
-  const shifts = await business.getScheduleForEmployeeSorted(empId);
+  return value.trim();
+}
 
-  for (let i = 0; i < shifts.length; i++) {
-    shifts[i].isMorning = shifts[i].startTime < "12:00";
+/**
+ * Change password form.
+ */
+app.get("/account/password", requireLogin, function (req, res) {
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
   }
 
-  res.render("employee", { employee: employee, shifts: shifts });
+  res.render("changePassword", { message: message });
 });
 
 /**
- * Protected employee photo route.
+ * Change password submit.
  */
-app.get("/photos/:id", requireLogin, async function (req, res) {
-  const empId = req.params.id;
-
-  const employee = await business.getEmployee(empId);
-
-  if (!employee) {
-    return res.status(404).send("Employee not found");
-  }
+app.post("/account/password", requireLogin, async function (req, res) {
+  const currentPassword = readField(req.body, "currentPassword");
+  const newPassword = readField(req.body, "newPassword");
+  const confirmPassword = readField(req.body, "confirmPassword");
 
-  if (typeof employee.photoFilename !== "string" || employee.photoFilename.trim().length === 0) {
-    return res.status(404).send("Photo not found");
+  if (newPassword !== confirmPassword) {
+    return res.redirect("/account/password?message=" + encodeURIComponent("New passwords do not match"));
   }
 
-  const safeFilename = path.basename(employee.photoFilename);
-  const fullPath = path.join(PHOTO_FOLDER, safeFilename);
+  const error = await tryAction(function () {
+    return business.changePassword(req.user.username, currentPassword, newPassword);
+  });
 
-  if (!fsSync.existsSync(fullPath)) {
-    return res.status(404).send("Photo file not found");
+  if (error) {
+    return res.redirect("/account/password?message=" + encodeURIComponent(error));
   }
 
-  res.sendFile(fullPath);
+  // Sessions elsewhere may have been stolen, only this one stays logged in
+  await sessionStore.deleteSessionsForUser(req.user.username, req.cookies.sessionId);
+
+  res.redirect("/account/password?message=" + encodeURIComponent("Password changed"));
 });
 
 /**
- * Edit form.
+ * API tokens of the logged-in user.
  */
-app.get("/employees/:id/edit", requireLogin, async function (req, res) {
-  const empId = req.params.id;
+app.get("/account/tokens", requireLogin, async function (req, res) {
+  const tokens = await business.listApiTokens(req.user.username);
 
-  const employee = await business.getEmployee(empId);
+  let message = "";
 
-  if (!employee) {
-    return res.status(404).send("Employee not found");
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
   }
 
-  res.render("editEmployee", { employee: employee });
+  res.render("apiTokens", { tokens: tokens, message: message, newToken: "" });
 });
 
 /**
- * Edit submit.
+ * Issue a new API token. The token is shown once, only its hash is stored.
  */
-app.post("/employees/:id/edit", requireLogin, async function (req, res) {
-  const empId = req.params.id;
+app.post("/account/tokens", requireLogin, async function (req, res) {
+  let newToken = "";
 
-  let name = req.body.name;
-  let phone = req.body.phone;
+  const error = await tryAction(async function () {
+    newToken = await business.issueApiToken(req.user.username, readField(req.body, "label"));
+  });
 
-  if (typeof name !== "string") {
-    name = "";
+  if (error) {
+    return res.redirect("/account/tokens?message=" + encodeURIComponent(error));
   }
 
-  if (typeof phone !== "string") {
-    phone = "";
+  const tokens = await business.listApiTokens(req.user.username);
+
+  res.render("apiTokens", { tokens: tokens, message: "", newToken: newToken });
+});
+
+/**
+ * Revoke one of the user's API tokens.
+ */
+app.post("/account/tokens/:id/revoke", requireLogin, async function (req, res) {
+  const error = await tryAction(function () {
+    return business.revokeApiToken(req.user.username, req.params.id);
+  });
+
+  if (error) {
+    return res.redirect("/account/tokens?message=" + encodeURIComponent(error));
   }
 
-  name = name.trim();
-  phone = phone.trim();
+  res.redirect("/account/tokens?message=" + encodeURIComponent("Token revoked"));
+});
+
+/**
+ * Admin: list of users.
+ */
+app.get("/admin/users", requireLogin, requireRole("admin"), async function (req, res) {
+  const users = await business.listUsers();
 
-  if (name.length === 0) {
-    return res.send("Validation failed: Name must be non-empty");
+  for (let i = 0; i < users.length; i++) {
+    users[i].role = business.getUserRole(users[i]);
+    users[i].isDisabled = users[i].disabled === true;
+    users[i].isLocked = loginGuard.getLockRemainingMs(users[i]) > 0;
   }
 
-  const phoneOk = /^[0-9]{4}-[0-9]{4}$/.test(phone);
+  let message = "";
 
-  if (!phoneOk) {
-    return res.send("Validation failed: Phone must be 4 digits, a dash, then 4 digits");
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
   }
 
-  await business.updateEmployee(empId, name, phone);
+  res.render("users", { users: users, message: message });
+});
 
-  res.redirect("/");
+/**
+ * Admin: create user form.
+ */
+app.get("/admin/users/new", requireLogin, requireRole("admin"), async function (req, res) {
+  const employees = await business.listEmployees();
+  res.render("userForm", { employees: employees });
 });
 
-app.listen(3090, function () {
-  console.log("Server running on http://localhost:3090");
+/**
+ * Admin: create user submit.
+ */
+app.post("/admin/users/new", requireLogin, requireRole("admin"), async function (req, res) {
+  await business.createUser({
+    username: readField(req.body, "username"),
+    password: readField(req.body, "password"),
+    role: readField(req.body, "role"),
+    employeeId: readField(req.body, "employeeId")
+  });
+
+  res.redirect("/admin/users?message=" + encodeURIComponent("User created"));
+});
+
+/**
+ * Admin: disable a user and end their sessions.
+ */
+app.post("/admin/users/:id/disable", requireLogin, requireRole("admin"), async function (req, res) {
+  const user = await business.getUser(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.username === req.user.username) {
+    return res.redirect("/admin/users?message=" + encodeURIComponent("You cannot disable your own account"));
+  }
+
+  await business.setUserDisabled(req.params.id, true);
+  await sessionStore.deleteSessionsForUser(user.username);
+
+  res.redirect("/admin/users?message=" + encodeURIComponent("User disabled"));
+});
+
+/**
+ * Admin: enable a disabled user.
+ */
+app.post("/admin/users/:id/enable", requireLogin, requireRole("admin"), async function (req, res) {
+  await business.setUserDisabled(req.params.id, false);
+
+  res.redirect("/admin/users?message=" + encodeURIComponent("User enabled"));
+});
+
+/**
+ * Admin: reset password form.
+ */
+app.get("/admin/users/:id/reset", requireLogin, requireRole("admin"), async function (req, res) {
+  const user = await business.getUser(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  res.render("resetPassword", { user: user });
+});
+
+/**
+ * Admin: reset password submit.
+ */
+app.post("/admin/users/:id/reset", requireLogin, requireRole("admin"), async function (req, res) {
+  const user = await business.getUser(req.params.id);
+
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  await business.resetPassword(req.params.id, readField(req.body, "password"));
+  await sessionStore.deleteSessionsForUser(user.username);
+
+  res.redirect("/admin/users?message=" + encodeURIComponent("Password reset"));
+});
+
+/**
+ * Read the security log filter fields from the query string.
+ *
+ * @param {Object} query
+ * @returns {{username: string, urlPrefix: string, method: string, from: string, to: string}}
+ */
+function readSecurityLogQuery(query) {
+  return {
+    username: readField(query, "username"),
+    urlPrefix: readField(query, "urlPrefix"),
+    method: readField(query, "method"),
+    from: readField(query, "from"),
+    to: readField(query, "to")
+  };
+}
+
+/**
+ * Build a query string from the non-empty values of an object.
+ *
+ * @param {Object} values
+ * @returns {string}
+ */
+function toQueryString(values) {
+  const parts = [];
+  const keys = Object.keys(values);
+
+  for (let i = 0; i < keys.length; i++) {
+    if (values[keys[i]] !== "" && values[keys[i]] !== undefined) {
+      parts.push(encodeURIComponent(keys[i]) + "=" + encodeURIComponent(values[keys[i]]));
+    }
+  }
+
+  return parts.join("&");
+}
+
+/**
+ * Admin: security log viewer with filters and pagination.
+ */
+app.get("/admin/security-log", requireLogin, requireRole("admin"), async function (req, res) {
+  const raw = readSecurityLogQuery(req.query);
+  const parsed = business.parseSecurityLogFilters(raw);
+
+  if (parsed.error) {
+    return res.render("securityLog", { filters: raw, entries: [], error: parsed.error });
+  }
+
+  const result = await business.listSecurityLog(parsed.filters, readField(req.query, "page"));
+
+  const filterQuery = toQueryString(raw);
+  let prevUrl = "";
+  let nextUrl = "";
+
+  if (result.page > 1) {
+    prevUrl = "/admin/security-log?" + toQueryString(Object.assign({}, raw, { page: result.page - 1 }));
+  }
+
+  if (result.page < result.pageCount) {
+    nextUrl = "/admin/security-log?" + toQueryString(Object.assign({}, raw, { page: result.page + 1 }));
+  }
+
+  res.render("securityLog", {
+    filters: raw,
+    entries: result.entries,
+    total: result.total,
+    page: result.page,
+    pageCount: result.pageCount,
+    prevUrl: prevUrl,
+    nextUrl: nextUrl,
+    csvUrl: "/admin/security-log.csv?" + filterQuery
+  });
+});
+
+/**
+ * Admin: CSV download of the filtered security log.
+ */
+app.get("/admin/security-log.csv", requireLogin, requireRole("admin"), async function (req, res) {
+  const parsed = business.parseSecurityLogFilters(readSecurityLogQuery(req.query));
+
+  if (parsed.error) {
+    throw new ValidationError(parsed.error);
+  }
+
+  const csv = await business.exportSecurityLogCsv(parsed.filters);
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", "attachment; filename=\"security_log.csv\"");
+  res.send(csv);
+});
+
+/**
+ * Date of the wanted pay period from ?date=, today by default.
+ *
+ * @param {Object} query
+ * @returns {string}
+ */
+function readPayrollDate(query) {
+  const date = readField(query, "date");
+
+  if (date.length === 0) {
+    return business.todayText();
+  }
+
+  return date;
+}
+
+/**
+ * Payroll hours and gross pay for one pay period.
+ */
+app.get("/payroll", requireLogin, requireRole("admin"), async function (req, res) {
+  const date = readPayrollDate(req.query);
+  const report = await business.getPayrollReport(date);
+
+  let prevDate = "";
+  let nextDate = "";
+
+  if (!report.error) {
+    prevDate = business.addDays(report.startDate, -1);
+    nextDate = business.addDays(report.endDate, 1);
+  }
+
+  res.render("payroll", {
+    date: date,
+    startDate: report.startDate,
+    endDate: report.endDate,
+    rows: report.rows,
+    error: report.error,
+    prevDate: prevDate,
+    nextDate: nextDate
+  });
+});
+
+/**
+ * Payroll CSV download.
+ */
+app.get("/payroll.csv", requireLogin, requireRole("admin"), async function (req, res) {
+  const report = await business.getPayrollReport(readPayrollDate(req.query));
+
+  if (report.error) {
+    throw new ValidationError(report.error);
+  }
+
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set("Content-Disposition", "attachment; filename=\"payroll_" + report.startDate + ".csv\"");
+  res.send(business.exportPayrollCsv(report.rows, report.startDate, report.endDate));
+});
+
+/**
+ * Payroll JSON download.
+ */
+app.get("/payroll.json", requireLogin, requireRole("admin"), async function (req, res) {
+  const report = await business.getPayrollReport(readPayrollDate(req.query));
+
+  if (report.error) {
+    throw new ValidationError(report.error);
+  }
+
+  res.set("Content-Disposition", "attachment; filename=\"payroll_" + report.startDate + ".json\"");
+  res.json({ periodStart: report.startDate, periodEnd: report.endDate, employees: report.rows });
+});
+
+/**
+ * Landing page: list of employees.
+ */
+app.get("/", requireLogin, async function (req, res) {
+  if (req.user.role !== "admin") {
+    if (!req.user.employeeId) {
+      return renderForbidden(res, "Your account is not linked to an employee record.");
+    }
+
+    return res.redirect("/employees/" + req.user.employeeId);
+  }
+
+  const search = readField(req.query, "q");
+  let order = readField(req.query, "order");
+
+  if (order !== "desc") {
+    order = "asc";
+  }
+
+  const result = await business.listEmployeesPage(search, order, readField(req.query, "page"));
+
+  let prevUrl = "";
+  let nextUrl = "";
+
+  if (result.page > 1) {
+    prevUrl = "/?" + toQueryString({ q: search, order: order, page: result.page - 1 });
+  }
+
+  if (result.page < result.pageCount) {
+    nextUrl = "/?" + toQueryString({ q: search, order: order, page: result.page + 1 });
+  }
+
+  let reverseOrder = "desc";
+
+  if (order === "desc") {
+    reverseOrder = "asc";
+  }
+
+  res.render("home", {
+    employees: result.employees,
+    search: search,
+    total: result.total,
+    page: result.page,
+    pageCount: result.pageCount,
+    prevUrl: prevUrl,
+    nextUrl: nextUrl,
+    sortUrl: "/?" + toQueryString({ q: search, order: reverseOrder }),
+    descending: order === "desc"
+  });
+});
+
+/**
+ * Add employee form.
+ */
+app.get("/employees/new", requireLogin, requireRole("admin"), function (req, res) {
+  res.render("addEmployee");
+});
+
+/**
+ * Add employee submit.
+ */
+app.post("/employees/new", requireLogin, requireRole("admin"), async function (req, res) {
+  let name = req.body.name;
+  let phone = req.body.phone;
+
+  if (typeof name !== "string") {
+    name = "";
+  }
+
+  if (typeof phone !== "string") {
+    phone = "";
+  }
+
+  name = name.trim();
+  phone = phone.trim();
+
+  await business.addEmployee({ name: name, phone: phone });
+
+  res.redirect("/");
+});
+
+/**
+ * Archived (deactivated) employees.
+ */
+app.get("/employees/archived", requireLogin, requireRole("admin"), async function (req, res) {
+  const employees = await business.listInactiveEmployees();
+  res.render("archivedEmployees", { employees: employees });
+});
+
+/**
+ * Employee details page.
+ */
+app.get("/employees/:id", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  const shifts = await business.getScheduleForEmployeeSorted(empId);
+
+  for (let i = 0; i < shifts.length; i++) {
+    shifts[i].isMorning = shifts[i].startTime < "12:00";
+  }
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  const conflicts = await business.getConflictsForSchedule(shifts);
+
+  let calendarUrl = "";
+
+  if (business.hasCalendarToken(employee)) {
+    calendarUrl = getBaseUrl() + "/employees/" + empId + "/schedule.ics?token=" + employee.calendarToken;
+  }
+
+  res.render("employee", {
+    employee: employee,
+    shifts: shifts,
+    message: message,
+    active: business.isActive(employee),
+    isAdmin: req.user.role === "admin",
+    calendarUrl: calendarUrl,
+    conflicts: conflicts,
+    availability: business.describeAvailability(employee),
+    timeOff: employee.timeOff || [],
+    timeClock: await business.getTimeClock(empId)
+  });
+});
+
+/**
+ * iCalendar feed of the employee's shifts. Calendar apps cannot send the
+ * session cookie, so access is checked with the per-employee token instead.
+ */
+app.get("/employees/:id/schedule.ics", async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee || !business.isCalendarTokenValid(employee, req.query.token)) {
+    throw new NotFoundError("Calendar not found");
+  }
+
+  const shifts = await business.getScheduleForEmployeeSorted(empId);
+
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", "inline; filename=\"schedule.ics\"");
+  res.send(business.buildICalendar(employee, shifts));
+});
+
+/**
+ * Weekly availability form.
+ */
+app.get("/employees/:id/availability", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const employee = await business.getEmployee(req.params.id);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  const windows = employee.availability || [];
+  const days = [];
+
+  for (let day = 0; day < 7; day++) {
+    const row = { day: day, name: business.DAY_NAMES[day], startTime: "", endTime: "" };
+
+    for (let i = 0; i < windows.length; i++) {
+      if (windows[i].day === day) {
+        row.startTime = windows[i].startTime;
+        row.endTime = windows[i].endTime;
+      }
+    }
+
+    days.push(row);
+  }
+
+  res.render("availability", {
+    employee: employee,
+    days: days,
+    restricted: windows.length > 0
+  });
+});
+
+/**
+ * Availability submit. "any" clears all windows; otherwise days left
+ * blank are unavailable.
+ */
+app.post("/employees/:id/availability", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+  const windows = [];
+
+  if (readField(req.body, "mode") !== "any") {
+    for (let day = 0; day < 7; day++) {
+      const startTime = readField(req.body, "start" + day);
+      const endTime = readField(req.body, "end" + day);
+
+      if (startTime.length > 0 || endTime.length > 0) {
+        windows.push({ day: day, startTime: startTime, endTime: endTime });
+      }
+    }
+
+    if (windows.length === 0) {
+      throw new ValidationError("Enter times for at least one day or choose available any time");
+    }
+  }
+
+  await business.setAvailability(empId, windows);
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Availability saved"));
+});
+
+/**
+ * Submit a time-off request for the employee.
+ */
+app.post("/employees/:id/time-off", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const error = await tryAction(function () {
+    return business.requestTimeOff(empId, {
+      startDate: readField(req.body, "startDate"),
+      endDate: readField(req.body, "endDate"),
+      reason: readField(req.body, "reason")
+    }, req.user.username);
+  });
+
+  if (error) {
+    return res.redirect("/employees/" + empId + "?message=" + encodeURIComponent(error));
+  }
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Time-off request submitted"));
+});
+
+/**
+ * Approve a pending time-off request.
+ */
+app.post("/employees/:id/time-off/:requestId/approve", requireLogin, requireRole("admin"), async function (req, res) {
+  const error = await tryAction(function () {
+    return business.decideTimeOff(req.params.id, req.params.requestId, true, req.user.username);
+  });
+
+  let message = "Time-off approved";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/time-off?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Reject a pending time-off request.
+ */
+app.post("/employees/:id/time-off/:requestId/reject", requireLogin, requireRole("admin"), async function (req, res) {
+  const error = await tryAction(function () {
+    return business.decideTimeOff(req.params.id, req.params.requestId, false, req.user.username);
+  });
+
+  let message = "Time-off rejected";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/time-off?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Pending time-off requests of all employees.
+ */
+app.get("/time-off", requireLogin, requireRole("admin"), async function (req, res) {
+  const requests = await business.listPendingTimeOff();
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("timeOff", { requests: requests, message: message });
+});
+
+/**
+ * Shift offers: give away an upcoming shift, or take one a colleague offered.
+ */
+app.get("/employees/:id/offers", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  const today = business.todayText();
+  const schedule = await business.getScheduleForEmployeeSorted(empId);
+  const upcoming = [];
+
+  for (let i = 0; i < schedule.length; i++) {
+    if (schedule[i].date >= today) {
+      upcoming.push(schedule[i]);
+    }
+  }
+
+  const employees = await business.listEmployees();
+  const colleagues = [];
+
+  for (let i = 0; i < employees.length; i++) {
+    if (String(employees[i]._id) !== empId) {
+      colleagues.push(employees[i]);
+    }
+  }
+
+  const offers = await business.listShiftOffersForEmployee(empId);
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("shiftOffers", {
+    employee: employee,
+    shifts: upcoming,
+    colleagues: colleagues,
+    mine: offers.mine,
+    others: offers.others,
+    message: message
+  });
+});
+
+/**
+ * Offer one of the employee's shifts to a colleague or to anyone.
+ */
+app.post("/employees/:id/offers", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+  const shiftId = readField(req.body, "shiftId");
+
+  if (shiftId.length === 0) {
+    return res.redirect("/employees/" + empId + "/offers?message=" + encodeURIComponent("Please select a shift"));
+  }
+
+  const error = await tryAction(function () {
+    return business.offerShift(empId, shiftId, readField(req.body, "toEmployeeId"), req.user.username);
+  });
+
+  let message = "Shift offered";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "/offers?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Accept a colleague's offer. A manager still has to approve it.
+ */
+app.post("/employees/:id/offers/:offerId/accept", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const error = await tryAction(function () {
+    return business.acceptShiftOffer(empId, req.params.offerId);
+  });
+
+  let message = "Offer accepted, waiting for manager approval";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "/offers?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Withdraw an offer before a manager decides on it.
+ */
+app.post("/employees/:id/offers/:offerId/cancel", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const error = await tryAction(function () {
+    return business.cancelShiftOffer(empId, req.params.offerId);
+  });
+
+  let message = "Offer withdrawn";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "/offers?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Accepted shift offers waiting for approval.
+ */
+app.get("/offers", requireLogin, requireRole("admin"), async function (req, res) {
+  const offers = await business.listShiftOffersAwaitingApproval();
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("offerApprovals", { offers: offers, message: message });
+});
+
+/**
+ * Approve an accepted offer and move the shift to the taker.
+ */
+app.post("/offers/:offerId/approve", requireLogin, requireRole("admin"), async function (req, res) {
+  const error = await tryAction(function () {
+    return business.decideShiftOffer(req.params.offerId, true, req.user.username);
+  });
+
+  let message = "Offer approved, shift moved";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/offers?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Reject an accepted offer. The shift stays with the original employee.
+ */
+app.post("/offers/:offerId/reject", requireLogin, requireRole("admin"), async function (req, res) {
+  const error = await tryAction(function () {
+    return business.decideShiftOffer(req.params.offerId, false, req.user.username);
+  });
+
+  let message = "Offer rejected";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/offers?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Clock in for one of the employee's shifts.
+ */
+app.post("/employees/:id/clock-in", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const error = await tryAction(function () {
+    return business.clockIn(empId, readField(req.body, "shiftId"));
+  });
+
+  let message = "Clocked in";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Clock out of a shift.
+ */
+app.post("/employees/:id/clock-out", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const error = await tryAction(function () {
+    return business.clockOut(empId, readField(req.body, "shiftId"));
+  });
+
+  let message = "Clocked out";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Actual against scheduled time for a date range, the last week by default.
+ */
+app.get("/attendance", requireLogin, requireRole("admin"), async function (req, res) {
+  let from = readField(req.query, "from");
+  let to = readField(req.query, "to");
+
+  if (to.length === 0) {
+    to = business.todayText();
+  }
+
+  // A bad to date is left for getAttendanceReport to report
+  if (from.length === 0 && business.isValidDate(to)) {
+    from = business.addDays(to, -6);
+  }
+
+  const report = await business.getAttendanceReport(from, to);
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("attendance", { from: from, to: to, rows: report.rows, error: report.error, message: message });
+});
+
+/**
+ * Punch correction form with the history of earlier corrections.
+ */
+app.get("/attendance/:shiftId/:employeeId", requireLogin, requireRole("admin"), async function (req, res) {
+  const detail = await business.getAttendanceDetail(req.params.employeeId, req.params.shiftId);
+
+  if (!detail) {
+    throw new NotFoundError("Shift or employee not found");
+  }
+
+  res.render("correctPunch", detail);
+});
+
+/**
+ * Punch correction submit.
+ */
+app.post("/attendance/:shiftId/:employeeId", requireLogin, requireRole("admin"), async function (req, res) {
+  const shiftId = req.params.shiftId;
+  const empId = req.params.employeeId;
+
+  await business.correctAttendance(empId, shiftId, {
+    clockInDate: readField(req.body, "clockInDate"),
+    clockInTime: readField(req.body, "clockInTime"),
+    clockOutDate: readField(req.body, "clockOutDate"),
+    clockOutTime: readField(req.body, "clockOutTime")
+  }, readField(req.body, "reason"), req.user.username);
+
+  res.redirect("/attendance?message=" + encodeURIComponent("Punch corrected"));
+});
+
+/**
+ * Create the calendar feed token, or replace it so old subscription links
+ * stop working.
+ */
+app.post("/employees/:id/calendar-token", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  let message = "Calendar link created";
+
+  if (business.hasCalendarToken(employee)) {
+    message = "Calendar link replaced";
+  }
+
+  await business.regenerateCalendarToken(empId);
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Protected employee photo route. ?size=64 or ?size=200 returns a cached
+ * thumbnail; without a photo an initials avatar is sent instead.
+ * Browsers revalidate with ETag/Last-Modified rather than downloading again.
+ */
+app.get("/photos/:id", requireLogin, requireSelfOrAdmin, async function (req, res) {
+  const employee = await business.getEmployeePhoto(req.params.id);
+
+  const sizeText = readField(req.query, "size");
+  let size = 0;
+
+  if (sizeText.length > 0) {
+    size = Number(sizeText);
+
+    if (photos.THUMBNAIL_SIZES.indexOf(size) === -1) {
+      throw new ValidationError("Size must be one of " + photos.THUMBNAIL_SIZES.join(", "));
+    }
+  }
+
+  const fullPath = await photos.getPhotoFile(employee, size);
+
+  // Photos are private, so shared caches must not keep them
+  res.set("Cache-Control", "private, no-cache");
+
+  if (!fullPath) {
+    res.set("Content-Type", "image/svg+xml");
+    return res.send(photos.buildInitialsAvatar(employee.name, size || 200));
+  }
+
+  res.sendFile(fullPath, { cacheControl: false });
+});
+
+/**
+ * Upload or replace the employee's photo (multipart field "photo").
+ */
+app.post("/employees/:id/photo", requireLogin, requireRole("admin"), function (req, res, next) {
+  const empId = req.params.id;
+
+  photoUpload(req, res, async function (err) {
+    let message = "Photo saved";
+
+    try {
+      if (err instanceof multer.MulterError) {
+        message = "Photo upload failed: " + err.message;
+
+        if (err.code === "LIMIT_FILE_SIZE") {
+          message = "Photo must be at most " + (photos.MAX_PHOTO_BYTES / 1024 / 1024) + " MB";
+        }
+      } else if (err) {
+        return next(err);
+      } else if (!req.file) {
+        message = "Please choose a photo to upload";
+      } else {
+        await photos.savePhoto(empId, req.file.buffer);
+      }
+    } catch (saveErr) {
+      // A missing employee gets the 404 page, a refused file a message
+      if (!(saveErr instanceof DomainError) || saveErr instanceof NotFoundError) {
+        return next(saveErr);
+      }
+
+      message = saveErr.message;
+    }
+
+    res.redirect("/employees/" + empId + "/edit?message=" + encodeURIComponent(message));
+  });
+});
+
+/**
+ * Remove the employee's photo.
+ */
+app.post("/employees/:id/photo/delete", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  const error = await tryAction(function () {
+    return photos.deletePhoto(empId);
+  });
+
+  let message = "Photo removed";
+
+  if (error) {
+    message = error;
+  }
+
+  res.redirect("/employees/" + empId + "/edit?message=" + encodeURIComponent(message));
+});
+
+/**
+ * Edit form.
+ */
+app.get("/employees/:id/edit", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  let hourlyRateText = "";
+
+  if (typeof employee.hourlyRate === "number") {
+    hourlyRateText = employee.hourlyRate.toFixed(2);
+  }
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("editEmployee", {
+    employee: employee,
+    positionsText: (employee.positions || []).join(", "),
+    hourlyRateText: hourlyRateText,
+    maxPhotoMb: photos.MAX_PHOTO_BYTES / 1024 / 1024,
+    message: message
+  });
+});
+
+/**
+ * Edit submit.
+ */
+app.post("/employees/:id/edit", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  let name = req.body.name;
+  let phone = req.body.phone;
+
+  if (typeof name !== "string") {
+    name = "";
+  }
+
+  if (typeof phone !== "string") {
+    phone = "";
+  }
+
+  name = name.trim();
+  phone = phone.trim();
+
+  const error = business.validateEmployee(name, phone);
+
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  await business.updateEmployee(empId, name, phone, {
+    positions: business.parsePositions(readField(req.body, "positions")),
+    hourlyRate: readField(req.body, "hourlyRate")
+  });
+
+  res.redirect("/");
+});
+
+/**
+ * Deactivate (archive) an employee.
+ */
+app.post("/employees/:id/deactivate", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  await business.setEmployeeActive(empId, false);
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Employee deactivated"));
+});
+
+/**
+ * Reactivate an archived employee.
+ */
+app.post("/employees/:id/reactivate", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  await business.setEmployeeActive(empId, true);
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Employee reactivated"));
+});
+
+/**
+ * Assign form: pick a shift for the employee.
+ */
+app.get("/employees/:id/assign", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  const employee = await business.getEmployee(empId);
+
+  if (!employee) {
+    throw new NotFoundError("Employee not found");
+  }
+
+  const shifts = await business.listShifts();
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("assignShift", { employee: employee, shifts: shifts, message: message });
+});
+
+/**
+ * Assign submit.
+ */
+app.post("/employees/:id/assign", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  let shiftId = req.body.shiftId;
+
+  if (typeof shiftId !== "string") {
+    shiftId = "";
+  }
+
+  shiftId = shiftId.trim();
+
+  if (shiftId.length === 0) {
+    return res.redirect("/employees/" + empId + "/assign?message=" + encodeURIComponent("Please select a shift"));
+  }
+
+  const error = await tryAction(function () {
+    return business.assignShift(empId, shiftId, { override: req.body.override === "yes" });
+  });
+
+  if (error) {
+    return res.redirect("/employees/" + empId + "/assign?message=" + encodeURIComponent(error));
+  }
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Shift assigned"));
+});
+
+/**
+ * Remove the employee from one of their shifts.
+ */
+app.post("/employees/:id/unassign", requireLogin, requireRole("admin"), async function (req, res) {
+  const empId = req.params.id;
+
+  let shiftId = req.body.shiftId;
+
+  if (typeof shiftId !== "string") {
+    shiftId = "";
+  }
+
+  shiftId = shiftId.trim();
+
+  if (shiftId.length === 0) {
+    return res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Please select a shift"));
+  }
+
+  const error = await tryAction(function () {
+    return business.unassignShift(empId, shiftId);
+  });
+
+  if (error) {
+    return res.redirect("/employees/" + empId + "?message=" + encodeURIComponent(error));
+  }
+
+  res.redirect("/employees/" + empId + "?message=" + encodeURIComponent("Shift removed"));
+});
+
+/**
+ * Read date, times and staffing from a submitted shift form.
+ * Required positions are entered as "cashier:2, cook:1".
+ *
+ * @param {Object} body
+ * @returns {{date: string, startTime: string, endTime: string, requiredHeadcount: number, requiredPositions: Array<Object>}}
+ */
+function readShiftForm(body) {
+  let date = body.date;
+  let startTime = body.startTime;
+  let endTime = body.endTime;
+
+  if (typeof date !== "string") {
+    date = "";
+  }
+
+  if (typeof startTime !== "string") {
+    startTime = "";
+  }
+
+  if (typeof endTime !== "string") {
+    endTime = "";
+  }
+
+  let requiredHeadcount = NaN;
+  const headcountText = readField(body, "requiredHeadcount");
+
+  if (/^[0-9]+$/.test(headcountText)) {
+    requiredHeadcount = Number(headcountText);
+  }
+
+  return {
+    date: date.trim(),
+    startTime: startTime.trim(),
+    endTime: endTime.trim(),
+    requiredHeadcount: requiredHeadcount,
+    requiredPositions: business.parseRequiredPositions(readField(body, "requiredPositions"))
+  };
+}
+
+/**
+ * Week or month calendar of all shifts.
+ */
+app.get("/schedule", requireLogin, requireRole("admin"), async function (req, res) {
+  let view = readField(req.query, "view");
+
+  if (view !== "month") {
+    view = "week";
+  }
+
+  const calendar = await business.getCalendar(view, readField(req.query, "date"));
+
+  res.render("schedule", calendar);
+});
+
+/**
+ * Auto-schedule preview: proposed assignments for the open places in a
+ * date range, the next week by default. Nothing is saved yet.
+ */
+app.get("/schedule/auto", requireLogin, requireRole("admin"), async function (req, res) {
+  let from = readField(req.query, "from");
+  let to = readField(req.query, "to");
+
+  if (from.length === 0) {
+    from = business.todayText();
+  }
+
+  // A bad from date is left for previewAutoSchedule to report
+  if (to.length === 0 && business.isValidDate(from)) {
+    to = business.addDays(from, 6);
+  }
+
+  const preview = await business.previewAutoSchedule(from, to);
+  const pairs = [];
+
+  for (let i = 0; i < preview.assignments.length; i++) {
+    pairs.push(preview.assignments[i].shift._id + ":" + preview.assignments[i].employee._id);
+  }
+
+  res.render("autoSchedule", {
+    from: from,
+    to: to,
+    assignments: preview.assignments,
+    unfilled: preview.unfilled,
+    pairs: pairs.join(","),
+    error: preview.error
+  });
+});
+
+/**
+ * Apply a previewed auto-schedule. The form posts the proposed
+ * assignments as "shiftId:employeeId" pairs separated by commas.
+ */
+app.post("/schedule/auto", requireLogin, requireRole("admin"), async function (req, res) {
+  const parts = readField(req.body, "pairs").split(",");
+  const pairs = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const match = /^([0-9a-fA-F]{24}):([0-9a-fA-F]{24})$/.exec(parts[i].trim());
+
+    if (match) {
+      pairs.push({ shiftId: match[1], employeeId: match[2] });
+    }
+  }
+
+  await business.applyAutoSchedule(pairs);
+
+  res.redirect("/shifts?message=" + encodeURIComponent(pairs.length + " assignments added by the auto-scheduler"));
+});
+
+/**
+ * Shift list.
+ */
+app.get("/shifts", requireLogin, requireRole("admin"), async function (req, res) {
+  const shifts = await business.listShifts();
+
+  for (let i = 0; i < shifts.length; i++) {
+    shifts[i].employeeCount = (shifts[i].employees || []).length;
+    shifts[i].headcount = business.getRequiredHeadcount(shifts[i]);
+    shifts[i].positionsText = business.formatRequiredPositions(shifts[i]);
+  }
+
+  let message = "";
+
+  if (typeof req.query.message === "string") {
+    message = req.query.message;
+  }
+
+  res.render("shifts", { shifts: shifts, message: message });
+});
+
+/**
+ * Under- and overstaffed shifts for a date range, the next two weeks by default.
+ */
+app.get("/shifts/staffing", requireLogin, requireRole("admin"), async function (req, res) {
+  let from = readField(req.query, "from");
+  let to = readField(req.query, "to");
+
+  if (from.length === 0) {
+    from = business.todayText();
+  }
+
+  // A bad from date is left for getStaffingReport to report
+  if (to.length === 0 && business.isValidDate(from)) {
+    to = business.addDays(from, 13);
+  }
+
+  const report = await business.getStaffingReport(from, to);
+
+  res.render("staffing", { from: from, to: to, rows: report.rows, error: report.error });
+});
+
+/**
+ * Create shift form.
+ */
+app.get("/shifts/new", requireLogin, requireRole("admin"), function (req, res) {
+  res.render("shiftForm", {
+    title: "New Shift",
+    action: "/shifts/new",
+    shift: { requiredHeadcount: 1 },
+    positionsText: ""
+  });
+});
+
+/**
+ * Create shift submit.
+ */
+app.post("/shifts/new", requireLogin, requireRole("admin"), async function (req, res) {
+  const shift = readShiftForm(req.body);
+
+  await business.createShift(shift);
+
+  res.redirect("/shifts?message=" + encodeURIComponent("Shift created"));
+});
+
+/**
+ * Edit shift form.
+ */
+app.get("/shifts/:id/edit", requireLogin, requireRole("admin"), async function (req, res) {
+  const shift = await business.getShift(req.params.id);
+
+  if (!shift) {
+    throw new NotFoundError("Shift not found");
+  }
+
+  shift.requiredHeadcount = business.getRequiredHeadcount(shift);
+
+  res.render("shiftForm", {
+    title: "Edit Shift",
+    action: "/shifts/" + shift._id + "/edit",
+    shift: shift,
+    positionsText: business.formatRequiredPositions(shift)
+  });
+});
+
+/**
+ * Edit shift submit.
+ */
+app.post("/shifts/:id/edit", requireLogin, requireRole("admin"), async function (req, res) {
+  const shift = readShiftForm(req.body);
+
+  await business.updateShift(req.params.id, shift);
+
+  res.redirect("/shifts?message=" + encodeURIComponent("Shift updated"));
+});
+
+/**
+ * Delete confirmation page. Warns when employees are still on the shift.
+ */
+app.get("/shifts/:id/delete", requireLogin, requireRole("admin"), async function (req, res) {
+  const shift = await business.getShift(req.params.id);
+
+  if (!shift) {
+    throw new NotFoundError("Shift not found");
+  }
+
+  const employees = await business.getShiftEmployees(shift);
+
+  res.render("deleteShift", { shift: shift, employees: employees });
+});
+
+/**
+ * Delete submit.
+ */
+app.post("/shifts/:id/delete", requireLogin, requireRole("admin"), async function (req, res) {
+  await business.deleteShift(req.params.id);
+
+  res.redirect("/shifts?message=" + encodeURIComponent("Shift deleted"));
+});
+
+/**
+ * Unknown page.
+ */
+app.use(function (req, res) {
+  sendErrorPage(req, res, 404, "Page not found");
+});
+
+/**
+ * Anything thrown by a route. Domain errors carry a status and a message
+ * meant for the user; anything else is logged and the user only gets a
+ * generic message, so stack traces and database details stay private.
+ */
+app.use(function (err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof DomainError) {
+    return sendErrorPage(req, res, err.status, err.message);
+  }
+
+  // Client errors from Express itself, e.g. a body that is too large
+  if (err.expose === true && err.status >= 400 && err.status < 500) {
+    return sendErrorPage(req, res, err.status, err.message);
+  }
+
+  console.error(err);
+  sendErrorPage(req, res, 500, "The request could not be completed. Please try again later.");
+});
+
+/**
+ * Prepare the session store, start the expired-session sweep and listen.
+ *
+ * @returns {Promise<void>}
+ */
+async function start() {
+  // Fail fast on a broken config.json and open the shared connection pool
+  getSettings();
+  await getDb();
+
+  await sessionStore.init();
+  sessionStores.startSweeper(sessionStore, SESSION_SWEEP_INTERVAL_MS);
+
+  const server = app.listen(3090, function () {
+    console.log("Server running on http://localhost:3090");
+  });
+
+  /**
+   * Stop accepting requests, then close the MongoDB pool.
+   *
+   * @returns {void}
+   */
+  function shutdown() {
+    server.close(function () {
+      closeDb()
+        .then(function () {
+          process.exit(0);
+        })
+        .catch(function (err) {
+          console.error(err);
+          process.exit(1);
+        });
+    });
+  }
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+start().catch(function (err) {
+  console.error(err);
+  process.exit(1);
 });
\ No newline at end of file
@@ -1,12 +1,163 @@
 "use strict";
 
+const bcrypt = require("bcrypt");
+const crypto = require("crypto");
 const persistence = require("./persistence");
+const { NotFoundError, ValidationError, ConflictError, ForbiddenError } = require("./errors");
 
 /**
- * List all employees.
+ * List all active employees.
  */
 async function listEmployees() {
-  return await persistence.getAllEmployees();
+  return await persistence.getActiveEmployees();
+}
+
+const EMPLOYEE_PAGE_SIZE = 20;
+
+/**
+ * One page of active employees for the landing page, searched by name or
+ * phone and sorted by name. Each employee gets upcomingShifts (shifts
+ * from today on) and scheduledHours (all of their shifts).
+ *
+ * @param {string} search
+ * @param {string} order - "desc" for Z-A, anything else for A-Z
+ * @param {string|number} page - 1-based, clamped to the available pages
+ * @returns {Promise<{employees: Array<Object>, total: number, page: number, pageCount: number}>}
+ */
+async function listEmployeesPage(search, order, page) {
+  const total = await persistence.countEmployees(search);
+  const pageCount = Math.max(1, Math.ceil(total / EMPLOYEE_PAGE_SIZE));
+
+  let current = Math.floor(Number(page));
+
+  if (!Number.isFinite(current) || current < 1) {
+    current = 1;
+  }
+
+  if (current > pageCount) {
+    current = pageCount;
+  }
+
+  let direction = 1;
+
+  if (order === "desc") {
+    direction = -1;
+  }
+
+  const employees = await persistence.findEmployeesPage(
+    search,
+    direction,
+    (current - 1) * EMPLOYEE_PAGE_SIZE,
+    EMPLOYEE_PAGE_SIZE
+  );
+
+  const empIds = [];
+
+  for (let i = 0; i < employees.length; i++) {
+    empIds.push(employees[i]._id);
+  }
+
+  const shiftsById = {};
+
+  if (empIds.length > 0) {
+    const groups = await persistence.getShiftTimesByEmployee(empIds);
+
+    for (let i = 0; i < groups.length; i++) {
+      shiftsById[String(groups[i]._id)] = groups[i].shifts;
+    }
+  }
+
+  const today = todayText();
+
+  for (let i = 0; i < employees.length; i++) {
+    const shifts = shiftsById[String(employees[i]._id)] || [];
+    let upcoming = 0;
+    let minutes = 0;
+
+    for (let j = 0; j < shifts.length; j++) {
+      if (shifts[j].date >= today) {
+        upcoming++;
+      }
+
+      const shiftMinutes = getShiftMinutes(shifts[j].startTime, shifts[j].endTime);
+
+      if (Number.isFinite(shiftMinutes)) {
+        minutes += shiftMinutes;
+      }
+    }
+
+    employees[i].upcomingShifts = upcoming;
+    employees[i].scheduledHours = formatHours(minutes);
+  }
+
+  return { employees: employees, total: total, page: current, pageCount: pageCount };
+}
+
+/**
+ * List deactivated (archived) employees.
+ */
+async function listInactiveEmployees() {
+  return await persistence.getInactiveEmployees();
+}
+
+/**
+ * Validate name and phone of an employee.
+ *
+ * @param {string} name
+ * @param {string} phone
+ * @returns {string} Empty string if valid, otherwise the reason.
+ */
+function validateEmployee(name, phone) {
+  if (typeof name !== "string" || name.trim().length === 0) {
+    return "Name must be non-empty";
+  }
+
+  if (typeof phone !== "string" || !/^[0-9]{4}-[0-9]{4}$/.test(phone)) {
+    return "Phone must be 4 digits, a dash, then 4 digits";
+  }
+
+  return "";
+}
+
+/**
+ * Add a new employee.
+ *
+ * @param {{name: string, phone: string}} emp
+ * @returns {Promise<string>} The new employee _id as a string.
+ * @throws {ValidationError} If name or phone is invalid.
+ */
+async function addEmployee(emp) {
+  const error = validateEmployee(emp.name, emp.phone);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  return await persistence.addEmployee({ name: emp.name.trim(), phone: emp.phone, calendarToken: newCalendarToken() });
+}
+
+/**
+ * Deactivate (archive) or reactivate an employee.
+ * Past shifts are kept so the schedule history stays intact.
+ *
+ * @param {string} empId
+ * @param {boolean} active
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function setEmployeeActive(empId, active) {
+  await requireEmployee(empId);
+  await persistence.setEmployeeActive(empId, active);
+}
+
+/**
+ * Check whether an employee is active. Employees created before
+ * the active flag existed count as active.
+ *
+ * @param {Object} employee
+ * @returns {boolean}
+ */
+function isActive(employee) {
+  return employee.active !== false;
 }
 
 /**
@@ -17,11 +168,29 @@ async function getEmployee(empId) {
   return await persistence.findEmployee(empId);
 }
 
+/**
+ * Get one employee by ID, or throw if there is no such employee.
+ *
+ * @param {string} empId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function requireEmployee(empId) {
+  const employee = await persistence.findEmployee(empId);
+  if (!employee) {
+    throw new NotFoundError("Employee does not exist");
+  }
+
+  return employee;
+}
+
 /**
  * Get shifts for an employee (unsorted).
  * @param {string} empId
+ * @throws {NotFoundError} If there is no such employee, including malformed IDs.
  */
 async function getScheduleForEmployee(empId) {
+  await requireEmployee(empId);
   return await persistence.getEmployeeShifts(empId);
 }
 
@@ -53,13 +222,3454 @@ async function getScheduleForEmployeeSorted(empId) {
 
   return shifts;
 }
-async function updateEmployee(empId, name, phone) {
-  await persistence.updateEmployee(empId, name, phone);
+
+/**
+ * Change name and phone of an existing employee, and from the edit page
+ * also positions and hourly rate. Every field is checked before anything
+ * is saved, and everything is saved in one update.
+ *
+ * @param {string} empId
+ * @param {string} name
+ * @param {string} phone
+ * @param {{positions: Array<string>, hourlyRate: string}} [details] - fields left out stay as they are
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function updateEmployee(empId, name, phone, details) {
+  await requireEmployee(empId);
+
+  const error = validateEmployee(name, phone);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  const fields = { name: name.trim(), phone: phone };
+
+  if (details && details.positions !== undefined) {
+    fields.positions = details.positions;
+  }
+
+  if (details && details.hourlyRate !== undefined) {
+    fields.hourlyRate = parseHourlyRate(details.hourlyRate);
+  }
+
+  await persistence.updateEmployee(empId, fields);
+}
+
+/**
+ * Parse a comma separated list of positions, lower-cased and without duplicates.
+ *
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function parsePositions(text) {
+  const result = [];
+  const parts = String(text || "").split(",");
+
+  for (let i = 0; i < parts.length; i++) {
+    const position = parts[i].trim().toLowerCase();
+
+    if (position.length > 0 && result.indexOf(position) === -1) {
+      result.push(position);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether an employee can work a position.
+ *
+ * @param {Object} employee
+ * @param {string} position
+ * @returns {boolean}
+ */
+function hasPosition(employee, position) {
+  return (employee.positions || []).indexOf(position) !== -1;
+}
+
+// People needed on a shift that does not say otherwise
+const DEFAULT_HEADCOUNT = 1;
+
+/**
+ * List all shifts sorted by (date ASC, startTime ASC).
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function listShifts() {
+  const shifts = await persistence.getAllShifts();
+
+  for (let i = 0; i < shifts.length; i++) {
+    for (let j = 0; j < shifts.length - 1; j++) {
+      const aKey = shifts[j].date + " " + shifts[j].startTime;
+      const bKey = shifts[j + 1].date + " " + shifts[j + 1].startTime;
+
+      if (aKey > bKey) {
+        const tmp = shifts[j];
+        shifts[j] = shifts[j + 1];
+        shifts[j + 1] = tmp;
+      }
+    }
+  }
+
+  return shifts;
+}
+
+/**
+ * Get one shift by ID.
+ *
+ * @param {string} shiftId
+ * @returns {Promise<Object|undefined>}
+ */
+async function getShift(shiftId) {
+  return await persistence.findShift(shiftId);
+}
+
+/**
+ * Get one shift by ID, or throw if there is no such shift.
+ *
+ * @param {string} shiftId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function requireShift(shiftId) {
+  const shift = await persistence.findShift(shiftId);
+  if (!shift) {
+    throw new NotFoundError("Shift does not exist");
+  }
+
+  return shift;
+}
+
+/**
+ * Get the employee documents currently assigned to a shift.
+ *
+ * @param {Object} shift
+ * @returns {Promise<Array<Object>>}
+ */
+async function getShiftEmployees(shift) {
+  const assigned = shift.employees || [];
+
+  if (assigned.length === 0) {
+    return [];
+  }
+
+  return await persistence.findEmployeesByIds(assigned);
+}
+
+/**
+ * Check that a date is a real calendar day written as "YYYY-MM-DD".
+ *
+ * @param {string} dateText
+ * @returns {boolean}
+ */
+function isValidDate(dateText) {
+  if (typeof dateText !== "string" || !/^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(dateText)) {
+    return false;
+  }
+
+  const parsed = new Date(dateText + "T00:00:00Z");
+
+  if (Number.isNaN(parsed.getTime())) {
+    return false;
+  }
+
+  return parsed.toISOString().slice(0, 10) === dateText;
+}
+
+/**
+ * Validate the date and times of a shift using the same rules as
+ * toMinutes/getShiftMinutes, so overnight shifts (22:00 -> 02:00) are allowed.
+ *
+ * @param {{date: string, startTime: string, endTime: string}} shift
+ * @returns {string} Empty string if valid, otherwise the reason.
+ */
+function validateShift(shift) {
+  if (!isValidDate(shift.date)) {
+    return "Date must be a valid date in YYYY-MM-DD format";
+  }
+
+  if (!Number.isFinite(toMinutes(shift.startTime))) {
+    return "Start time must be in HH:MM format";
+  }
+
+  if (!Number.isFinite(toMinutes(shift.endTime))) {
+    return "End time must be in HH:MM format";
+  }
+
+  if (getShiftMinutes(shift.startTime, shift.endTime) <= 0) {
+    return "Start and end time must be different";
+  }
+
+  return validateStaffing(shift);
+}
+
+/**
+ * Validate the requiredHeadcount and requiredPositions of a shift.
+ *
+ * @param {{requiredHeadcount: number, requiredPositions: Array<{position: string, count: number}>}} shift
+ * @returns {string} Empty string if valid, otherwise the reason.
+ */
+function validateStaffing(shift) {
+  if (!Number.isInteger(shift.requiredHeadcount) || shift.requiredHeadcount < 1) {
+    return "Required headcount must be a whole number of at least 1";
+  }
+
+  let positionTotal = 0;
+
+  for (let i = 0; i < shift.requiredPositions.length; i++) {
+    const required = shift.requiredPositions[i];
+
+    if (typeof required.position !== "string" || required.position.length === 0) {
+      return "Each required position needs a name";
+    }
+
+    if (!Number.isInteger(required.count) || required.count < 1) {
+      return "Required position " + required.position + " needs a whole number of at least 1";
+    }
+
+    positionTotal += required.count;
+  }
+
+  if (positionTotal > shift.requiredHeadcount) {
+    return "Required positions add up to more people than the required headcount";
+  }
+
+  return "";
+}
+
+/**
+ * Fill in missing staffing fields of a submitted shift: from the existing
+ * shift when editing, otherwise one person with no required positions.
+ *
+ * @param {Object} shift - submitted shift, changed in place
+ * @param {Object} [existing] - stored shift being edited
+ * @returns {Object} shift
+ */
+function applyStaffingDefaults(shift, existing) {
+  if (shift.requiredHeadcount === undefined) {
+    shift.requiredHeadcount = existing ? getRequiredHeadcount(existing) : DEFAULT_HEADCOUNT;
+  }
+
+  if (shift.requiredPositions === undefined) {
+    shift.requiredPositions = existing && existing.requiredPositions ? existing.requiredPositions : [];
+  }
+
+  return shift;
+}
+
+/**
+ * People a shift needs. Shifts stored before headcounts existed need one.
+ *
+ * @param {Object} shift
+ * @returns {number}
+ */
+function getRequiredHeadcount(shift) {
+  if (Number.isInteger(shift.requiredHeadcount) && shift.requiredHeadcount > 0) {
+    return shift.requiredHeadcount;
+  }
+
+  return DEFAULT_HEADCOUNT;
+}
+
+/**
+ * Parse "cashier:2, cook" into [{position: "cashier", count: 2}, {position: "cook", count: 1}].
+ * Bad counts are kept as NaN so validateStaffing can report them.
+ *
+ * @param {string} text
+ * @returns {Array<{position: string, count: number}>}
+ */
+function parseRequiredPositions(text) {
+  const result = [];
+  const parts = String(text || "").split(",");
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i].trim();
+
+    if (part.length === 0) {
+      continue;
+    }
+
+    const colon = part.indexOf(":");
+
+    if (colon === -1) {
+      result.push({ position: part.toLowerCase(), count: 1 });
+      continue;
+    }
+
+    const countText = part.slice(colon + 1).trim();
+    let count = NaN;
+
+    if (/^[0-9]+$/.test(countText)) {
+      count = Number(countText);
+    }
+
+    result.push({ position: part.slice(0, colon).trim().toLowerCase(), count: count });
+  }
+
+  return result;
+}
+
+/**
+ * Required positions written back as "cashier:2, cook:1" for the shift form.
+ *
+ * @param {Object} shift
+ * @returns {string}
+ */
+function formatRequiredPositions(shift) {
+  const positions = shift.requiredPositions || [];
+  const parts = [];
+
+  for (let i = 0; i < positions.length; i++) {
+    parts.push(positions[i].position + ":" + positions[i].count);
+  }
+
+  return parts.join(", ");
+}
+
+/**
+ * Create a new shift. requiredHeadcount defaults to 1 and
+ * requiredPositions to none.
+ *
+ * @param {{date: string, startTime: string, endTime: string, requiredHeadcount: number, requiredPositions: Array<Object>}} shift
+ * @returns {Promise<string>} The new shift _id as a string.
+ * @throws {ValidationError}
+ */
+async function createShift(shift) {
+  applyStaffingDefaults(shift);
+
+  const error = validateShift(shift);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  return await persistence.createShift(shift);
+}
+
+/**
+ * Change date, times and staffing of an existing shift. Staffing fields
+ * left out keep their current values.
+ *
+ * When the date or times change, every active employee already on the
+ * shift is checked again with checkAssignment at the new time, and the
+ * edit is refused if any of them would break a rule.
+ *
+ * @param {string} shiftId
+ * @param {{date: string, startTime: string, endTime: string, requiredHeadcount: number, requiredPositions: Array<Object>}} shift
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+async function updateShift(shiftId, shift) {
+  const existing = await requireShift(shiftId);
+
+  applyStaffingDefaults(shift, existing);
+
+  const error = validateShift(shift);
+  if (error) {
+    throw new ValidationError(error);
+  }
+
+  if (shift.date !== existing.date || shift.startTime !== existing.startTime || shift.endTime !== existing.endTime) {
+    const problems = await findRescheduleProblems(existing, shift);
+
+    if (problems.length > 0) {
+      throw new ConflictError("Cannot change shift: " + problems.join("; "));
+    }
+  }
+
+  await persistence.updateShift(shiftId, shift);
 }
+
+/**
+ * Rules the employees on a shift would break if it moved to a new date
+ * or time. Each employee is checked as if they were the only one on the
+ * shift, so a lower headcount shows up in the staffing report instead.
+ * Deactivated employees are skipped; their past shifts are kept as they are.
+ *
+ * @param {Object} existing - stored shift
+ * @param {Object} shift - new date, times and staffing
+ * @returns {Promise<Array<string>>} "Name: reason" for each employee who would break a rule.
+ */
+async function findRescheduleProblems(existing, shift) {
+  const assigned = existing.employees || [];
+  const problems = [];
+
+  if (assigned.length === 0) {
+    return problems;
+  }
+
+  const rules = await loadHourRules();
+  const moved = Object.assign({}, existing, shift, { employees: [] });
+
+  for (let i = 0; i < assigned.length; i++) {
+    const empId = String(assigned[i]);
+    const employee = await persistence.findEmployee(empId);
+
+    if (!employee || !isActive(employee)) {
+      continue;
+    }
+
+    const otherShifts = await persistence.getEmployeeShifts(empId);
+    const scheduled = [];
+
+    for (let j = 0; j < otherShifts.length; j++) {
+      if (String(otherShifts[j]._id) !== String(existing._id)) {
+        scheduled.push(otherShifts[j]);
+      }
+    }
+
+    const reason = checkAssignment(employee, moved, scheduled, rules);
+
+    if (reason) {
+      problems.push(employee.name + ": " + reason.replace(/^Cannot assign shift: /, ""));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Delete a shift, including any assignments stored in it and its offers and time punches.
+ *
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function deleteShift(shiftId) {
+  await requireShift(shiftId);
+  await persistence.deleteShift(shiftId);
+}
+
+const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+/**
+ * Add days to a "YYYY-MM-DD" date. Works in UTC so daylight saving
+ * changes cannot shift the result.
+ *
+ * @param {string} dateText
+ * @param {number} days
+ * @returns {string}
+ */
+function addDays(dateText, days) {
+  const date = new Date(dateText + "T00:00:00Z");
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Monday of the week that contains the given date.
+ *
+ * @param {string} dateText
+ * @returns {string}
+ */
+function startOfWeek(dateText) {
+  const weekday = new Date(dateText + "T00:00:00Z").getUTCDay();
+
+  // getUTCDay is 0 for Sunday; weeks start on Monday
+  return addDays(dateText, -((weekday + 6) % 7));
+}
+
+/**
+ * Today's date in server local time as "YYYY-MM-DD".
+ *
+ * @returns {string}
+ */
+function todayText() {
+  const now = new Date();
+
+  return String(now.getFullYear()) + "-" +
+    String(now.getMonth() + 1).padStart(2, "0") + "-" +
+    String(now.getDate()).padStart(2, "0");
+}
+
+/**
+ * Build a week or month calendar of all shifts with the names of the
+ * employees on them. Weeks run Monday to Sunday; a month view is padded
+ * with days of the neighbouring months so every row has 7 days.
+ *
+ * @param {string} view - "week" or "month"
+ * @param {string} dateText - any day inside the week/month to show
+ * @returns {Promise<Object>} { view, title, anchorDate, dayNames, weeks, prevDate, nextDate }
+ */
+async function getCalendar(view, dateText) {
+  let anchor = dateText;
+
+  if (!isValidDate(anchor)) {
+    anchor = todayText();
+  }
+
+  let firstDay;
+  let lastDay;
+  let monthPrefix = "";
+  let title;
+  let prevDate;
+  let nextDate;
+
+  if (view === "month") {
+    monthPrefix = anchor.slice(0, 7);
+    const monthStart = monthPrefix + "-01";
+    const nextMonthStart = addDays(monthStart, 32).slice(0, 7) + "-01";
+
+    firstDay = startOfWeek(monthStart);
+    lastDay = addDays(startOfWeek(addDays(nextMonthStart, -1)), 6);
+    title = monthPrefix;
+    prevDate = addDays(monthStart, -1).slice(0, 7) + "-01";
+    nextDate = nextMonthStart;
+  } else {
+    view = "week";
+    firstDay = startOfWeek(anchor);
+    lastDay = addDays(firstDay, 6);
+    title = firstDay + " to " + lastDay;
+    prevDate = addDays(firstDay, -7);
+    nextDate = addDays(firstDay, 7);
+  }
+
+  const shifts = await persistence.getShiftsInRange(firstDay, lastDay);
+
+  // Look up every assigned employee once
+  const empIds = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const assigned = shifts[i].employees || [];
+
+    for (let j = 0; j < assigned.length; j++) {
+      empIds.push(assigned[j]);
+    }
+  }
+
+  const names = {};
+
+  if (empIds.length > 0) {
+    const employees = await persistence.findEmployeesByIds(empIds);
+
+    for (let i = 0; i < employees.length; i++) {
+      names[String(employees[i]._id)] = employees[i].name;
+    }
+  }
+
+  const weeks = [];
+  let week = [];
+  let day = firstDay;
+  let shiftIndex = 0;
+
+  while (day <= lastDay) {
+    const cell = {
+      date: day,
+      dayOfMonth: Number(day.slice(8, 10)),
+      inRange: view === "week" || day.slice(0, 7) === monthPrefix,
+      shifts: []
+    };
+
+    // shifts are sorted by date, so walk through them once
+    while (shiftIndex < shifts.length && shifts[shiftIndex].date === day) {
+      const shift = shifts[shiftIndex];
+      const assigned = shift.employees || [];
+      const employeeNames = [];
+
+      for (let j = 0; j < assigned.length; j++) {
+        employeeNames.push(names[String(assigned[j])] || "(unknown)");
+      }
+
+      cell.shifts.push({
+        _id: shift._id,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        employeeNames: employeeNames,
+        isMorning: shift.startTime < "12:00",
+        unstaffed: employeeNames.length === 0
+      });
+
+      shiftIndex++;
+    }
+
+    week.push(cell);
+
+    if (week.length === 7) {
+      weeks.push(week);
+      week = [];
+    }
+
+    day = addDays(day, 1);
+  }
+
+  return {
+    view: view,
+    title: title,
+    anchorDate: anchor,
+    dayNames: DAY_NAMES,
+    weeks: weeks,
+    prevDate: prevDate,
+    nextDate: nextDate
+  };
+}
+
+/**
+ * A new random calendar feed token.
+ *
+ * @returns {string}
+ */
+function newCalendarToken() {
+  return crypto.randomBytes(24).toString("hex");
+}
+
+/**
+ * Check whether the employee has a calendar feed token yet. Employees
+ * added before the feed existed get one when they first ask for a link.
+ *
+ * @param {Object} employee
+ * @returns {boolean}
+ */
+function hasCalendarToken(employee) {
+  return typeof employee.calendarToken === "string" && employee.calendarToken.length > 0;
+}
+
+/**
+ * Create or replace the employee's calendar feed token, so old subscription links stop working.
+ *
+ * @param {string} empId
+ * @returns {Promise<string>} The new token.
+ */
+async function regenerateCalendarToken(empId) {
+  const token = newCalendarToken();
+
+  await persistence.setCalendarToken(empId, token);
+  return token;
+}
+
+/**
+ * Check a calendar feed token against the one stored on the employee
+ * without leaking timing information.
+ *
+ * @param {Object} employee
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isCalendarTokenValid(employee, token) {
+  if (typeof employee.calendarToken !== "string" || typeof token !== "string") {
+    return false;
+  }
+
+  const expected = Buffer.from(employee.calendarToken);
+  const given = Buffer.from(token);
+
+  if (expected.length === 0 || expected.length !== given.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * Escape text for an iCalendar property value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function icsEscape(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Fold an iCalendar content line to at most 75 octets per line (RFC 5545 3.1).
+ *
+ * @param {string} line
+ * @returns {string}
+ */
+function icsFold(line) {
+  const chars = Array.from(line);
+  let result = "";
+  let current = "";
+  let currentBytes = 0;
+
+  for (let i = 0; i < chars.length; i++) {
+    const bytes = Buffer.byteLength(chars[i]);
+
+    // Continuation lines start with a space, which counts towards the limit
+    if (currentBytes + bytes > 75) {
+      result += current + "\r\n";
+      current = " ";
+      currentBytes = 1;
+    }
+
+    current += chars[i];
+    currentBytes += bytes;
+  }
+
+  return result + current;
+}
+
+/**
+ * Format a "YYYY-MM-DD" date and minutes since midnight as a floating
+ * iCalendar date-time. Minutes past 24:00 roll over to the next day.
+ *
+ * @param {string} dateText
+ * @param {number} minutes
+ * @returns {string} e.g. "20260105T090000"
+ */
+function icsDateTime(dateText, minutes) {
+  const day = addDays(dateText, Math.floor(minutes / (24 * 60)));
+  const minuteOfDay = minutes % (24 * 60);
+  const hour = Math.floor(minuteOfDay / 60);
+  const minute = minuteOfDay % 60;
+
+  return day.replace(/-/g, "") + "T" +
+    String(hour).padStart(2, "0") + String(minute).padStart(2, "0") + "00";
+}
+
+/**
+ * Build an iCalendar feed of the employee's shifts. Times are floating
+ * (restaurant local time); overnight shifts end on the following day.
+ * UIDs are built from the shift and employee _id so they stay the same
+ * every time the feed is downloaded.
+ *
+ * @param {Object} employee
+ * @param {Array<Object>} shifts - from getScheduleForEmployeeSorted
+ * @returns {string}
+ */
+function buildICalendar(employee, shifts) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Restaurant Scheduler//Employee Shifts//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:" + icsEscape(employee.name + " - Shifts")
+  ];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const shift = shifts[i];
+    const start = toMinutes(shift.startTime);
+    const duration = getShiftMinutes(shift.startTime, shift.endTime);
+
+    // Skip shifts with broken times instead of producing an invalid feed
+    if (!Number.isFinite(duration) || duration <= 0 || !isValidDate(shift.date)) {
+      continue;
+    }
+
+    lines.push("BEGIN:VEVENT");
+    lines.push("UID:" + shift._id + "-" + employee._id + "@restaurant-scheduler");
+    lines.push("DTSTAMP:" + stamp);
+    lines.push("DTSTART:" + icsDateTime(shift.date, start));
+    lines.push("DTEND:" + icsDateTime(shift.date, start + duration));
+    lines.push("SUMMARY:" + icsEscape("Shift " + shift.startTime + "-" + shift.endTime));
+    lines.push("END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+
+  let ics = "";
+
+  for (let i = 0; i < lines.length; i++) {
+    ics += icsFold(lines[i]) + "\r\n";
+  }
+
+  return ics;
+}
+
+/**
+ * Check whether an employee ObjectId is in the employees array of a shift.
+ *
+ * @param {Object} shift
+ * @param {string} empId
+ * @returns {boolean}
+ */
+function isAssigned(shift, empId) {
+  const assigned = shift.employees || [];
+
+  for (let i = 0; i < assigned.length; i++) {
+    if (String(assigned[i]) === String(empId)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Split a shift into the minutes it covers on each calendar day.
+ * An overnight shift (22:00 -> 02:00 on the 5th) gives
+ * [{ date: 5th, minutes: 120 }, { date: 6th, minutes: 120 }].
+ *
+ * @param {{date: string, startTime: string, endTime: string}} shift
+ * @returns {Array<{date: string, minutes: number}>} Empty if the shift times are invalid.
+ */
+function splitShiftByDay(shift) {
+  const start = toMinutes(shift.startTime);
+  const duration = getShiftMinutes(shift.startTime, shift.endTime);
+
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return [];
+  }
+
+  const dayMinutes = 24 * 60;
+  const firstDayMinutes = Math.min(duration, dayMinutes - start);
+  const parts = [{ date: shift.date, minutes: firstDayMinutes }];
+
+  if (duration > firstDayMinutes) {
+    parts.push({ date: addDays(shift.date, 1), minutes: duration - firstDayMinutes });
+  }
+
+  return parts;
+}
+
+/**
+ * Total scheduled minutes per calendar day, with overnight shifts
+ * split across the days they fall on.
+ *
+ * @param {Array<Object>} shifts
+ * @returns {Object<string, number>} date -> minutes
+ */
+function getMinutesByDay(shifts) {
+  const minutesByDay = {};
+
+  for (let i = 0; i < shifts.length; i++) {
+    const parts = splitShiftByDay(shifts[i]);
+
+    for (let j = 0; j < parts.length; j++) {
+      minutesByDay[parts[j].date] = (minutesByDay[parts[j].date] || 0) + parts[j].minutes;
+    }
+  }
+
+  return minutesByDay;
+}
+
+/**
+ * Read a positive number of hours from config, or null if it is not set.
+ *
+ * @param {Object} config
+ * @param {string} key
+ * @returns {number|null|undefined} null when unset, undefined when set but invalid.
+ */
+function readHoursSetting(config, key) {
+  if (config[key] === undefined || config[key] === null || config[key] === "") {
+    return null;
+  }
+
+  const hours = Number(config[key]);
+
+  if (!Number.isFinite(hours) || hours <= 0) {
+    return undefined;
+  }
+
+  return hours;
+}
+
+/**
+ * Working hour rules from config.json:
+ *   maxDailyHours        hard limit per calendar day (required)
+ *   maxWeeklyHours       hard limit per Monday-Sunday week (optional)
+ *   overtimeDailyHours   hours per day after which time counts as overtime (optional)
+ *   overtimeWeeklyHours  hours per week after which time counts as overtime (optional)
+ *   minRestHours         minimum break between two shifts of one employee (optional)
+ *   allowOvertime        false to refuse assignments that cause overtime (default true)
+ *
+ * @param {Object} config
+ * @returns {{rules: Object, error: string}}
+ */
+function getHourRules(config) {
+  const rules = {
+    maxDailyHours: readHoursSetting(config, "maxDailyHours"),
+    maxWeeklyHours: readHoursSetting(config, "maxWeeklyHours"),
+    overtimeDailyHours: readHoursSetting(config, "overtimeDailyHours"),
+    overtimeWeeklyHours: readHoursSetting(config, "overtimeWeeklyHours"),
+    minRestHours: readHoursSetting(config, "minRestHours"),
+    allowOvertime: config.allowOvertime !== false
+  };
+
+  if (!rules.maxDailyHours) {
+    return { rules: rules, error: "Invalid config: maxDailyHours must be a positive number" };
+  }
+
+  const optional = ["maxWeeklyHours", "overtimeDailyHours", "overtimeWeeklyHours", "minRestHours"];
+
+  for (let i = 0; i < optional.length; i++) {
+    if (rules[optional[i]] === undefined) {
+      return { rules: rules, error: "Invalid config: " + optional[i] + " must be a positive number" };
+    }
+  }
+
+  return { rules: rules, error: "" };
+}
+
+/**
+ * Load the working hour rules for a change that must obey them. A broken
+ * config.json is a server problem, not something the user can fix, so it
+ * is thrown as a plain Error and ends up in the log.
+ *
+ * @returns {Promise<Object>} rules as returned by getHourRules
+ */
+async function loadHourRules() {
+  const hourRules = getHourRules(await persistence.getConfig());
+
+  if (hourRules.error) {
+    throw new Error(hourRules.error);
+  }
+
+  return hourRules.rules;
+}
+
+/**
+ * Format minutes as hours for messages, e.g. 570 -> "9.5".
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatHours(minutes) {
+  return String(Math.round(minutes / 60 * 100) / 100);
+}
+
+/**
+ * Check the daily, weekly and overtime hour rules for adding a shift
+ * to an employee's existing shifts.
+ *
+ * @param {Array<Object>} scheduled - shifts the employee already has
+ * @param {Object} shift - shift to add
+ * @param {Object} rules - from getHourRules
+ * @returns {string} Empty string if allowed, otherwise the specific reason.
+ */
+function checkHourRules(scheduled, shift, rules) {
+  const newParts = splitShiftByDay(shift);
+  if (newParts.length === 0) {
+    return "Invalid shift time format";
+  }
+
+  for (let i = 0; i < scheduled.length; i++) {
+    if (splitShiftByDay(scheduled[i]).length === 0) {
+      return "Invalid shift time format";
+    }
+  }
+
+  const minutesByDay = getMinutesByDay(scheduled);
+
+  for (let i = 0; i < newParts.length; i++) {
+    const day = newParts[i].date;
+    minutesByDay[day] = (minutesByDay[day] || 0) + newParts[i].minutes;
+
+    if (minutesByDay[day] > Math.floor(rules.maxDailyHours * 60)) {
+      return "Cannot assign shift: maxDailyHours (" + rules.maxDailyHours + ") would be exceeded on " +
+        day + " (" + formatHours(minutesByDay[day]) + " hours)";
+    }
+
+    if (!rules.allowOvertime && rules.overtimeDailyHours &&
+        minutesByDay[day] > Math.floor(rules.overtimeDailyHours * 60)) {
+      return "Cannot assign shift: overtime is not allowed and " + day + " would go over " +
+        rules.overtimeDailyHours + " hours (" + formatHours(minutesByDay[day]) + " hours)";
+    }
+  }
+
+  // Weekly totals for every Monday-Sunday week the new shift touches
+  for (let i = 0; i < newParts.length; i++) {
+    const weekStart = startOfWeek(newParts[i].date);
+    let weekMinutes = 0;
+
+    for (let d = 0; d < 7; d++) {
+      weekMinutes += minutesByDay[addDays(weekStart, d)] || 0;
+    }
+
+    if (rules.maxWeeklyHours && weekMinutes > Math.floor(rules.maxWeeklyHours * 60)) {
+      return "Cannot assign shift: maxWeeklyHours (" + rules.maxWeeklyHours + ") would be exceeded in the week of " +
+        weekStart + " (" + formatHours(weekMinutes) + " hours)";
+    }
+
+    if (!rules.allowOvertime && rules.overtimeWeeklyHours &&
+        weekMinutes > Math.floor(rules.overtimeWeeklyHours * 60)) {
+      return "Cannot assign shift: overtime is not allowed and the week of " + weekStart + " would go over " +
+        rules.overtimeWeeklyHours + " hours (" + formatHours(weekMinutes) + " hours)";
+    }
+  }
+
+  return "";
+}
+
+/**
+ * Start and end of a shift in minutes counted from 1970-01-01,
+ * so shifts on different days (and overnight shifts) can be compared.
+ *
+ * @param {Object} shift
+ * @returns {{start: number, end: number}|null} null if the shift times are invalid.
+ */
+function getShiftInterval(shift) {
+  const start = toMinutes(shift.startTime);
+  const duration = getShiftMinutes(shift.startTime, shift.endTime);
+
+  if (!Number.isFinite(duration) || duration <= 0 || !isValidDate(shift.date)) {
+    return null;
+  }
+
+  const dayNumber = Math.round(new Date(shift.date + "T00:00:00Z").getTime() / (24 * 60 * 60 * 1000));
+  const absoluteStart = dayNumber * 24 * 60 + start;
+
+  return { start: absoluteStart, end: absoluteStart + duration };
+}
+
+/**
+ * Describe a shift for messages, e.g. "2026-01-05 09:00-15:00".
+ *
+ * @param {Object} shift
+ * @returns {string}
+ */
+function describeShift(shift) {
+  return shift.date + " " + shift.startTime + "-" + shift.endTime;
+}
+
+/**
+ * Find conflicts between a shift and other shifts of the same employee:
+ * "overlap" when the times overlap, "rest" when the break between them
+ * is shorter than minRestHours.
+ *
+ * @param {Array<Object>} scheduled
+ * @param {Object} shift
+ * @param {number|null} minRestHours
+ * @returns {Array<{type: string, shift: Object, message: string}>}
+ */
+function findShiftConflicts(scheduled, shift, minRestHours) {
+  const conflicts = [];
+  const interval = getShiftInterval(shift);
+
+  if (!interval) {
+    return conflicts;
+  }
+
+  const minRestMinutes = Math.floor((minRestHours || 0) * 60);
+
+  for (let i = 0; i < scheduled.length; i++) {
+    const other = scheduled[i];
+
+    if (String(other._id) === String(shift._id)) {
+      continue;
+    }
+
+    const otherInterval = getShiftInterval(other);
+
+    if (!otherInterval) {
+      continue;
+    }
+
+    if (interval.start < otherInterval.end && otherInterval.start < interval.end) {
+      conflicts.push({
+        type: "overlap",
+        shift: other,
+        message: describeShift(shift) + " overlaps " + describeShift(other)
+      });
+      continue;
+    }
+
+    const gap = Math.max(otherInterval.start - interval.end, interval.start - otherInterval.end);
+
+    if (gap < minRestMinutes) {
+      conflicts.push({
+        type: "rest",
+        shift: other,
+        message: "Only " + formatHours(gap) + " hours rest between " + describeShift(shift) +
+          " and " + describeShift(other) + " (minimum " + minRestHours + ")"
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Every overlap or rest conflict within one employee's list of shifts.
+ * Each pair is reported once.
+ *
+ * @param {Array<Object>} shifts
+ * @param {number|null} minRestHours
+ * @returns {Array<{type: string, shift: Object, message: string}>}
+ */
+function getScheduleConflicts(shifts, minRestHours) {
+  const conflicts = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const later = [];
+
+    for (let j = i + 1; j < shifts.length; j++) {
+      later.push(shifts[j]);
+    }
+
+    const found = findShiftConflicts(later, shifts[i], minRestHours);
+
+    for (let j = 0; j < found.length; j++) {
+      conflicts.push(found[j]);
+    }
+  }
+
+  return conflicts;
+}
+
+/**
+ * Day of week of a "YYYY-MM-DD" date, 0 = Monday ... 6 = Sunday
+ * (the same order as DAY_NAMES).
+ *
+ * @param {string} dateText
+ * @returns {number}
+ */
+function dayOfWeek(dateText) {
+  return (new Date(dateText + "T00:00:00Z").getUTCDay() + 6) % 7;
+}
+
+/**
+ * Check whether a shift fits inside one of the employee's weekly
+ * availability windows. An employee without windows is always available.
+ * Windows may run overnight (22:00 -> 06:00) like shifts.
+ *
+ * @param {Object} employee
+ * @param {Object} shift
+ * @returns {boolean}
+ */
+function isWithinAvailability(employee, shift) {
+  const windows = employee.availability || [];
+
+  if (windows.length === 0) {
+    return true;
+  }
+
+  const day = dayOfWeek(shift.date);
+  const start = toMinutes(shift.startTime);
+  const end = start + getShiftMinutes(shift.startTime, shift.endTime);
+
+  for (let i = 0; i < windows.length; i++) {
+    if (windows[i].day !== day) {
+      continue;
+    }
+
+    const windowStart = toMinutes(windows[i].startTime);
+    const windowEnd = windowStart + getShiftMinutes(windows[i].startTime, windows[i].endTime);
+
+    if (start >= windowStart && end <= windowEnd) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * The approved time-off request covering any day of the shift, if there is one.
+ *
+ * @param {Object} employee
+ * @param {Object} shift
+ * @returns {Object|null}
+ */
+function findApprovedLeave(employee, shift) {
+  const requests = employee.timeOff || [];
+  const parts = splitShiftByDay(shift);
+
+  for (let i = 0; i < requests.length; i++) {
+    if (requests[i].status !== "approved") {
+      continue;
+    }
+
+    for (let j = 0; j < parts.length; j++) {
+      if (parts[j].date >= requests[i].startDate && parts[j].date <= requests[i].endDate) {
+        return requests[i];
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Text for an employee's availability windows, e.g. "Mon 09:00-17:00".
+ *
+ * @param {Object} employee
+ * @returns {string}
+ */
+function describeAvailability(employee) {
+  const windows = employee.availability || [];
+
+  if (windows.length === 0) {
+    return "any time";
+  }
+
+  const parts = [];
+
+  for (let i = 0; i < windows.length; i++) {
+    parts.push(DAY_NAMES[windows[i].day] + " " + windows[i].startTime + "-" + windows[i].endTime);
+  }
+
+  return parts.join(", ");
+}
+
+/**
+ * All rules for putting an employee on a shift, without touching the
+ * database, so callers can check many candidate assignments at once.
+ *
+ * Overlapping shifts are always refused. A full shift and a rest period
+ * shorter than minRestHours are refused unless options.override is true.
+ *
+ * @param {Object} employee
+ * @param {Object} shift
+ * @param {Array<Object>} scheduled - shifts the employee already has
+ * @param {Object} rules - from getHourRules
+ * @param {{override: boolean}} [options]
+ * @returns {string} Empty string if allowed, otherwise the specific reason.
+ */
+function checkAssignment(employee, shift, scheduled, rules, options) {
+  const override = Boolean(options && options.override);
+
+  if (!isActive(employee)) {
+    return "Employee is deactivated";
+  }
+
+  if (isAssigned(shift, String(employee._id))) {
+    return "Employee already assigned to shift";
+  }
+
+  const assignedCount = (shift.employees || []).length;
+  const headcount = getRequiredHeadcount(shift);
+
+  if (assignedCount >= headcount && !override) {
+    return "Cannot assign shift: " + describeShift(shift) + " is already fully staffed (" + assignedCount +
+      " of " + headcount + "). An override is required to assign anyway.";
+  }
+
+  const leave = findApprovedLeave(employee, shift);
+
+  if (leave) {
+    return "Cannot assign shift: employee is on approved leave from " + leave.startDate + " to " + leave.endDate;
+  }
+
+  if (!isWithinAvailability(employee, shift)) {
+    return "Cannot assign shift: " + describeShift(shift) + " is outside the employee's availability (" +
+      describeAvailability(employee) + ")";
+  }
+
+  const conflicts = findShiftConflicts(scheduled, shift, rules.minRestHours);
+
+  for (let i = 0; i < conflicts.length; i++) {
+    if (conflicts[i].type === "overlap") {
+      return "Cannot assign shift: " + conflicts[i].message;
+    }
+
+    if (!override) {
+      return "Cannot assign shift: " + conflicts[i].message + ". An override is required to assign anyway.";
+    }
+  }
+
+  return checkHourRules(scheduled, shift, rules);
+}
+
+/**
+ * Put an employee on a shift after performing the validation checks
+ * carried over from Assignment 2:
+ * 1. Confirm that the employee exists and is active.
+ * 2. Confirm that the shift exists.
+ * 3. Ensure the employee is not already assigned.
+ * 4. Unless overridden, refuse shifts that already have their required headcount.
+ * 5. Refuse shifts during approved leave or outside weekly availability.
+ * 6. Refuse overlapping shifts and, unless overridden, too little rest.
+ * 7. Verify the daily, weekly and overtime hour rules (see checkHourRules).
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @param {{override: boolean}} [options] - override skips the capacity and minimum rest checks
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError} ConflictError carries the reason the assignment was refused.
+ */
+async function assignShift(empId, shiftId, options) {
+  const employee = await requireEmployee(empId);
+  const shift = await requireShift(shiftId);
+  const rules = await loadHourRules();
+  const scheduled = await persistence.getEmployeeShifts(empId);
+
+  const reason = checkAssignment(employee, shift, scheduled, rules, options);
+  if (reason) {
+    throw new ConflictError(reason);
+  }
+
+  await persistence.addEmployeeToShift(empId, shiftId);
+}
+
+/**
+ * Check a "from" and "to" date pair.
+ *
+ * @param {string} fromDate
+ * @param {string} toDate
+ * @returns {string} Empty string if valid, otherwise the reason.
+ */
+function validateDateRange(fromDate, toDate) {
+  if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+    return "Dates must be valid dates in YYYY-MM-DD format";
+  }
+
+  if (fromDate > toDate) {
+    return "The start date must not be after the end date";
+  }
+
+  return "";
+}
+
+/**
+ * Load every employee assigned to any of the shifts, keyed by _id string.
+ *
+ * @param {Array<Object>} shifts
+ * @returns {Promise<Object>}
+ */
+async function getAssignedEmployeesById(shifts) {
+  const employeeIds = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const assigned = shifts[i].employees || [];
+
+    for (let j = 0; j < assigned.length; j++) {
+      employeeIds.push(assigned[j]);
+    }
+  }
+
+  const employeesById = {};
+
+  if (employeeIds.length > 0) {
+    const employees = await persistence.findEmployeesByIds(employeeIds);
+
+    for (let i = 0; i < employees.length; i++) {
+      employeesById[String(employees[i]._id)] = employees[i];
+    }
+  }
+
+  return employeesById;
+}
+
+/**
+ * Required positions of a shift that its assigned employees do not cover.
+ *
+ * @param {Object} shift
+ * @param {Object} employeesById - assigned employees keyed by _id string
+ * @returns {Array<{position: string, count: number}>} count is how many people are missing
+ */
+function findMissingPositions(shift, employeesById) {
+  const assigned = shift.employees || [];
+  const requiredPositions = shift.requiredPositions || [];
+  const missing = [];
+
+  for (let i = 0; i < requiredPositions.length; i++) {
+    let covered = 0;
+
+    for (let j = 0; j < assigned.length; j++) {
+      const employee = employeesById[String(assigned[j])];
+
+      if (employee && hasPosition(employee, requiredPositions[i].position)) {
+        covered++;
+      }
+    }
+
+    if (covered < requiredPositions[i].count) {
+      missing.push({ position: requiredPositions[i].position, count: requiredPositions[i].count - covered });
+    }
+  }
+
+  return missing;
+}
+
+/**
+ * Shifts between two dates whose staffing does not match their
+ * requirements. A shift is understaffed when it has fewer people than
+ * requiredHeadcount or too few people for a required position, and
+ * overstaffed when it has more people than requiredHeadcount.
+ *
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD", inclusive
+ * @returns {Promise<{rows: Array<Object>, error: string}>}
+ */
+async function getStaffingReport(fromDate, toDate) {
+  const error = validateDateRange(fromDate, toDate);
+
+  if (error) {
+    return { rows: [], error: error };
+  }
+
+  const shifts = await persistence.getShiftsInRange(fromDate, toDate);
+  const employeesById = await getAssignedEmployeesById(shifts);
+  const rows = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const shift = shifts[i];
+    const assignedCount = (shift.employees || []).length;
+    const headcount = getRequiredHeadcount(shift);
+    const missing = findMissingPositions(shift, employeesById);
+    const missingPositions = [];
+
+    for (let j = 0; j < missing.length; j++) {
+      missingPositions.push(missing[j].count + " " + missing[j].position);
+    }
+
+    let status = "";
+
+    if (assignedCount < headcount || missing.length > 0) {
+      status = "understaffed";
+    } else if (assignedCount > headcount) {
+      status = "overstaffed";
+    }
+
+    if (status) {
+      rows.push({
+        shift: shift,
+        assignedCount: assignedCount,
+        requiredHeadcount: headcount,
+        missingPositions: missingPositions.join(", "),
+        status: status
+      });
+    }
+  }
+
+  return { rows: rows, error: "" };
+}
+
+/**
+ * Sort key that puts shifts in date and start time order, with the _id
+ * breaking ties so the order never depends on how the database returned them.
+ *
+ * @param {Object} shift
+ * @returns {string}
+ */
+function shiftOrderKey(shift) {
+  return shift.date + " " + shift.startTime + " " + String(shift._id);
+}
+
+/**
+ * Check whether candidate a should be picked before candidate b.
+ *
+ * @param {{fillsPosition: boolean, minutes: number, employee: Object}} a
+ * @param {{fillsPosition: boolean, minutes: number, employee: Object}} b
+ * @returns {boolean}
+ */
+function isBetterCandidate(a, b) {
+  if (a.fillsPosition !== b.fillsPosition) {
+    return a.fillsPosition;
+  }
+
+  if (a.minutes !== b.minutes) {
+    return a.minutes < b.minutes;
+  }
+
+  if (a.employee.name !== b.employee.name) {
+    return a.employee.name < b.employee.name;
+  }
+
+  return String(a.employee._id) < String(b.employee._id);
+}
+
+/**
+ * Propose assignments that bring shifts up to their required headcount.
+ * Pure and deterministic: the same input always gives the same plan.
+ *
+ * Shifts are filled in date and start time order. For each open place
+ * every candidate is checked with checkAssignment (availability, leave,
+ * conflicts and hour rules, no overrides). Among the allowed candidates
+ * the pick is, in order: someone covering a missing required position,
+ * the fewest minutes already worked on the given shifts (so hours spread
+ * evenly), then name and _id.
+ *
+ * @param {Array<Object>} shifts - shifts to fill
+ * @param {Array<Object>} candidates - active employees
+ * @param {Object} employeesById - every employee on the shifts or in candidates, keyed by _id string
+ * @param {Object} scheduledById - each candidate's current shifts, keyed by _id string; updated with the plan
+ * @param {Object} rules - from getHourRules
+ * @returns {{assignments: Array<{shift: Object, employee: Object}>, unfilled: Array<{shift: Object, missing: number}>}}
+ */
+function planAssignments(shifts, candidates, employeesById, scheduledById, rules) {
+  const ordered = shifts.slice();
+
+  for (let i = 0; i < ordered.length; i++) {
+    for (let j = 0; j < ordered.length - 1; j++) {
+      if (shiftOrderKey(ordered[j]) > shiftOrderKey(ordered[j + 1])) {
+        const tmp = ordered[j];
+        ordered[j] = ordered[j + 1];
+        ordered[j + 1] = tmp;
+      }
+    }
+  }
+
+  const minutesById = {};
+
+  for (let i = 0; i < candidates.length; i++) {
+    const empId = String(candidates[i]._id);
+    minutesById[empId] = 0;
+
+    for (let j = 0; j < ordered.length; j++) {
+      if (isAssigned(ordered[j], empId)) {
+        minutesById[empId] += getShiftMinutes(ordered[j].startTime, ordered[j].endTime);
+      }
+    }
+  }
+
+  const assignments = [];
+  const unfilled = [];
+
+  for (let i = 0; i < ordered.length; i++) {
+    // Work on a copy so the caller's shift documents stay as stored
+    const shift = Object.assign({}, ordered[i], { employees: (ordered[i].employees || []).slice() });
+    const headcount = getRequiredHeadcount(shift);
+    const minutes = getShiftMinutes(shift.startTime, shift.endTime);
+
+    while (shift.employees.length < headcount) {
+      const missing = findMissingPositions(shift, employeesById);
+      let best = null;
+
+      for (let j = 0; j < candidates.length; j++) {
+        const employee = candidates[j];
+        const empId = String(employee._id);
+
+        if (checkAssignment(employee, shift, scheduledById[empId] || [], rules)) {
+          continue;
+        }
+
+        let fillsPosition = false;
+
+        for (let k = 0; k < missing.length; k++) {
+          if (hasPosition(employee, missing[k].position)) {
+            fillsPosition = true;
+          }
+        }
+
+        const candidate = { employee: employee, fillsPosition: fillsPosition, minutes: minutesById[empId] };
+
+        if (!best || isBetterCandidate(candidate, best)) {
+          best = candidate;
+        }
+      }
+
+      if (!best) {
+        unfilled.push({ shift: ordered[i], missing: headcount - shift.employees.length });
+        break;
+      }
+
+      const bestId = String(best.employee._id);
+
+      shift.employees.push(best.employee._id);
+      if (!scheduledById[bestId]) {
+        scheduledById[bestId] = [];
+      }
+      scheduledById[bestId].push(shift);
+      minutesById[bestId] += minutes;
+
+      assignments.push({ shift: ordered[i], employee: best.employee });
+    }
+  }
+
+  return { assignments: assignments, unfilled: unfilled };
+}
+
+/**
+ * Work out the auto-schedule for a date range without saving anything,
+ * so a manager can review it first (see planAssignments).
+ *
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD", inclusive
+ * @returns {Promise<{assignments: Array<Object>, unfilled: Array<Object>, error: string}>}
+ */
+async function previewAutoSchedule(fromDate, toDate) {
+  const error = validateDateRange(fromDate, toDate);
+
+  if (error) {
+    return { assignments: [], unfilled: [], error: error };
+  }
+
+  const config = await persistence.getConfig();
+  const hourRules = getHourRules(config);
+
+  if (hourRules.error) {
+    return { assignments: [], unfilled: [], error: hourRules.error };
+  }
+
+  // The hour rules and rest periods also look at shifts just outside the
+  // range: the whole Monday-Sunday weeks, the day before for overnight
+  // shifts, and enough days on both sides for minRestHours
+  const restDays = Math.ceil((hourRules.rules.minRestHours || 0) / 24);
+  const nearbyShifts = await persistence.getShiftsInRange(
+    addDays(startOfWeek(fromDate), -1 - restDays),
+    addDays(startOfWeek(toDate), 7 + restDays)
+  );
+
+  const shifts = [];
+
+  for (let i = 0; i < nearbyShifts.length; i++) {
+    if (nearbyShifts[i].date >= fromDate && nearbyShifts[i].date <= toDate) {
+      shifts.push(nearbyShifts[i]);
+    }
+  }
+
+  const candidates = await persistence.getActiveEmployees();
+  const employeesById = await getAssignedEmployeesById(shifts);
+  const scheduledById = {};
+
+  for (let i = 0; i < candidates.length; i++) {
+    const empId = String(candidates[i]._id);
+
+    employeesById[empId] = candidates[i];
+    scheduledById[empId] = [];
+  }
+
+  // Index the loaded shifts by employee instead of one query per candidate
+  for (let i = 0; i < nearbyShifts.length; i++) {
+    const assigned = nearbyShifts[i].employees || [];
+
+    for (let j = 0; j < assigned.length; j++) {
+      const empId = String(assigned[j]);
+
+      if (scheduledById[empId]) {
+        scheduledById[empId].push(nearbyShifts[i]);
+      }
+    }
+  }
+
+  const plan = planAssignments(shifts, candidates, employeesById, scheduledById, hourRules.rules);
+
+  return { assignments: plan.assignments, unfilled: plan.unfilled, error: "" };
+}
+
+/**
+ * Save a previewed auto-schedule in one batch. Every assignment is checked
+ * again against the current data first; if anything changed since the
+ * preview so that one of them is no longer allowed, nothing is saved.
+ *
+ * @param {Array<{shiftId: string, employeeId: string}>} pairs
+ * @returns {Promise<void>}
+ * @throws {ValidationError|NotFoundError|ConflictError}
+ */
+async function applyAutoSchedule(pairs) {
+  if (pairs.length === 0) {
+    throw new ValidationError("There are no assignments to apply");
+  }
+
+  const rules = await loadHourRules();
+
+  const shiftsById = {};
+  const employeesById = {};
+  const scheduledById = {};
+
+  for (let i = 0; i < pairs.length; i++) {
+    const shiftId = pairs[i].shiftId;
+    const empId = pairs[i].employeeId;
+
+    if (!shiftsById[shiftId]) {
+      const stored = await requireShift(shiftId);
+
+      shiftsById[shiftId] = Object.assign({}, stored, { employees: (stored.employees || []).slice() });
+    }
+
+    if (!employeesById[empId]) {
+      employeesById[empId] = await requireEmployee(empId);
+      scheduledById[empId] = await persistence.getEmployeeShifts(empId);
+    }
+
+    const shift = shiftsById[shiftId];
+    const reason = checkAssignment(employeesById[empId], shift, scheduledById[empId], rules);
+
+    if (reason) {
+      throw new ConflictError(employeesById[empId].name + " on " + describeShift(shift) + ": " + reason +
+        ". The schedule changed since the preview, please preview again.");
+    }
+
+    shift.employees.push(employeesById[empId]._id);
+    scheduledById[empId].push(shift);
+  }
+
+  await persistence.addAssignments(pairs);
+}
+
+/**
+ * Overlap and rest conflicts in an employee's current schedule.
+ *
+ * @param {Array<Object>} shifts - the employee's shifts
+ * @returns {Promise<Array<{type: string, shift: Object, message: string}>>}
+ */
+async function getConflictsForSchedule(shifts) {
+  const config = await persistence.getConfig();
+  const hourRules = getHourRules(config);
+
+  return getScheduleConflicts(shifts, hourRules.rules.minRestHours);
+}
+
+/**
+ * Replace an employee's weekly availability. Days without both times are
+ * treated as unavailable; an empty list means available any time.
+ *
+ * @param {string} empId
+ * @param {Array<{day: number, startTime: string, endTime: string}>} windows
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function setAvailability(empId, windows) {
+  await requireEmployee(empId);
+
+  const availability = [];
+
+  for (let i = 0; i < windows.length; i++) {
+    const window = windows[i];
+
+    if (!Number.isInteger(window.day) || window.day < 0 || window.day > 6) {
+      throw new ValidationError("Invalid day of week");
+    }
+
+    if (!Number.isFinite(toMinutes(window.startTime)) || !Number.isFinite(toMinutes(window.endTime))) {
+      throw new ValidationError(DAY_NAMES[window.day] + ": times must be in HH:MM format");
+    }
+
+    if (getShiftMinutes(window.startTime, window.endTime) <= 0) {
+      throw new ValidationError(DAY_NAMES[window.day] + ": start and end time must be different");
+    }
+
+    availability.push({ day: window.day, startTime: window.startTime, endTime: window.endTime });
+  }
+
+  await persistence.setAvailability(empId, availability);
+}
+
+/**
+ * Submit a time-off request. It has no effect on assignments until approved.
+ *
+ * @param {string} empId
+ * @param {{startDate: string, endDate: string, reason: string}} request
+ * @param {string} requestedBy - username submitting the request
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function requestTimeOff(empId, request, requestedBy) {
+  await requireEmployee(empId);
+
+  if (!isValidDate(request.startDate) || !isValidDate(request.endDate)) {
+    throw new ValidationError("Dates must be valid dates in YYYY-MM-DD format");
+  }
+
+  if (request.endDate < request.startDate) {
+    throw new ValidationError("End date must not be before start date");
+  }
+
+  await persistence.addTimeOffRequest(empId, {
+    startDate: request.startDate,
+    endDate: request.endDate,
+    reason: request.reason,
+    requestedBy: requestedBy
+  });
+}
+
+/**
+ * Approve or reject a pending time-off request.
+ *
+ * @param {string} empId
+ * @param {string} requestId
+ * @param {boolean} approve
+ * @param {string} decidedBy - username of the manager
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError} ConflictError if the request was already decided.
+ */
+async function decideTimeOff(empId, requestId, approve, decidedBy) {
+  const employee = await requireEmployee(empId);
+  const requests = employee.timeOff || [];
+  let found = false;
+
+  for (let i = 0; i < requests.length; i++) {
+    if (String(requests[i]._id) === requestId) {
+      found = true;
+    }
+  }
+
+  if (!found) {
+    throw new NotFoundError("Time-off request does not exist");
+  }
+
+  let status = "rejected";
+
+  if (approve) {
+    status = "approved";
+  }
+
+  const updated = await persistence.setTimeOffStatus(empId, requestId, status, decidedBy);
+  if (!updated) {
+    throw new ConflictError("Time-off request was already decided");
+  }
+}
+
+/**
+ * Pending time-off requests of all employees, oldest start date first.
+ *
+ * @returns {Promise<Array<Object>>} Requests with employeeId and employeeName added.
+ */
+async function listPendingTimeOff() {
+  const employees = await persistence.getEmployeesWithPendingTimeOff();
+  const pending = [];
+
+  for (let i = 0; i < employees.length; i++) {
+    const requests = employees[i].timeOff || [];
+
+    for (let j = 0; j < requests.length; j++) {
+      if (requests[j].status === "pending") {
+        pending.push(Object.assign({}, requests[j], {
+          employeeId: employees[i]._id,
+          employeeName: employees[i].name
+        }));
+      }
+    }
+  }
+
+  for (let i = 0; i < pending.length; i++) {
+    for (let j = 0; j < pending.length - 1; j++) {
+      if (pending[j].startDate > pending[j + 1].startDate) {
+        const tmp = pending[j];
+        pending[j] = pending[j + 1];
+        pending[j + 1] = tmp;
+      }
+    }
+  }
+
+  return pending;
+}
+
+/**
+ * Take an employee off a shift.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError}
+ */
+async function unassignShift(empId, shiftId) {
+  await requireEmployee(empId);
+  const shift = await requireShift(shiftId);
+
+  if (!isAssigned(shift, empId)) {
+    throw new ConflictError("Employee is not assigned to shift");
+  }
+
+  await persistence.removeEmployeeFromShift(empId, shiftId);
+}
+
+/**
+ * Offer one of an employee's upcoming shifts to a colleague, or to anyone
+ * when toEmpId is empty. The shift only changes hands once another
+ * employee accepts and a manager approves (see decideShiftOffer).
+ *
+ * @param {string} empId - employee giving the shift away
+ * @param {string} shiftId
+ * @param {string} toEmpId - colleague the shift is offered to, "" for anyone
+ * @param {string} createdBy - username of the person making the offer
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+async function offerShift(empId, shiftId, toEmpId, createdBy) {
+  await requireEmployee(empId);
+  const shift = await requireShift(shiftId);
+
+  if (!isAssigned(shift, empId)) {
+    throw new ConflictError("Employee is not assigned to shift");
+  }
+
+  if (shift.date < todayText()) {
+    throw new ConflictError("Cannot offer a shift that is in the past");
+  }
+
+  if (toEmpId) {
+    if (toEmpId === empId) {
+      throw new ValidationError("Cannot offer a shift to yourself");
+    }
+
+    const colleague = await requireEmployee(toEmpId);
+
+    if (!isActive(colleague)) {
+      throw new ConflictError("Employee is deactivated");
+    }
+  }
+
+  if (await persistence.findActiveShiftOffer(shiftId, empId)) {
+    throw new ConflictError("This shift is already offered");
+  }
+
+  await persistence.insertShiftOffer({
+    shiftId: shiftId,
+    fromEmployeeId: empId,
+    toEmployeeId: toEmpId || null,
+    createdBy: createdBy
+  });
+}
+
+/**
+ * Check every assignShift rule for the employee taking over an offered
+ * shift, as if the giver were already off it.
+ *
+ * @param {Object} offer
+ * @param {string} takerId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError} ConflictError carries the reason the takeover is not allowed.
+ */
+async function checkShiftTakeover(offer, takerId) {
+  const taker = await requireEmployee(takerId);
+  const shift = await requireShift(String(offer.shiftId));
+  const fromId = String(offer.fromEmployeeId);
+
+  if (!isAssigned(shift, fromId)) {
+    throw new ConflictError("The employee who offered the shift is no longer assigned to it");
+  }
+
+  const rules = await loadHourRules();
+
+  // The giver's place is the one being filled, so they do not count towards capacity
+  const remaining = [];
+  const assigned = shift.employees || [];
+
+  for (let i = 0; i < assigned.length; i++) {
+    if (String(assigned[i]) !== fromId) {
+      remaining.push(assigned[i]);
+    }
+  }
+
+  const scheduled = await persistence.getEmployeeShifts(takerId);
+  const reason = checkAssignment(taker, Object.assign({}, shift, { employees: remaining }), scheduled, rules);
+
+  if (reason) {
+    throw new ConflictError(reason);
+  }
+}
+
+/**
+ * Get one shift offer by ID, or throw if there is no such offer.
+ *
+ * @param {string} offerId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function requireShiftOffer(offerId) {
+  const offer = await persistence.findShiftOffer(offerId);
+  if (!offer) {
+    throw new NotFoundError("Offer does not exist");
+  }
+
+  return offer;
+}
+
+/**
+ * Accept an open offer. The taker must be the colleague it was offered
+ * to (or anyone for an open offer) and must pass every assignment rule.
+ *
+ * @param {string} empId - employee taking the shift
+ * @param {string} offerId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ForbiddenError|ConflictError}
+ */
+async function acceptShiftOffer(empId, offerId) {
+  const offer = await requireShiftOffer(offerId);
+
+  if (offer.status !== "open") {
+    throw new ConflictError("Offer is no longer open");
+  }
+
+  if (String(offer.fromEmployeeId) === empId) {
+    throw new ConflictError("Cannot accept your own offer");
+  }
+
+  if (offer.toEmployeeId && String(offer.toEmployeeId) !== empId) {
+    throw new ForbiddenError("This offer was made to someone else");
+  }
+
+  await checkShiftTakeover(offer, empId);
+
+  const updated = await persistence.acceptShiftOffer(offerId, empId);
+
+  if (!updated) {
+    throw new ConflictError("Offer is no longer open");
+  }
+}
+
+/**
+ * Withdraw an offer that a manager has not decided on yet.
+ *
+ * @param {string} empId - employee who made the offer
+ * @param {string} offerId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError}
+ */
+async function cancelShiftOffer(empId, offerId) {
+  const offer = await requireShiftOffer(offerId);
+
+  // Someone else's offer is reported as missing rather than forbidden
+  if (String(offer.fromEmployeeId) !== empId) {
+    throw new NotFoundError("Offer does not exist");
+  }
+
+  if (offer.status !== "open" && offer.status !== "accepted") {
+    throw new ConflictError("Offer is already " + offer.status);
+  }
+
+  const updated = await persistence.updateShiftOfferStatus(offerId, offer.status, { status: "cancelled" });
+
+  if (!updated) {
+    throw new ConflictError("Offer changed in the meantime, please try again");
+  }
+}
+
+/**
+ * Manager decision on an accepted offer. Approving checks the assignment
+ * rules for the taker again and then moves the shift to them.
+ *
+ * @param {string} offerId
+ * @param {boolean} approve
+ * @param {string} decidedBy - username of the manager
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError}
+ */
+async function decideShiftOffer(offerId, approve, decidedBy) {
+  const offer = await requireShiftOffer(offerId);
+
+  if (offer.status !== "accepted") {
+    throw new ConflictError("Offer is not waiting for approval");
+  }
+
+  let status = "rejected";
+
+  if (approve) {
+    await checkShiftTakeover(offer, String(offer.takerId));
+    status = "approved";
+  }
+
+  const updated = await persistence.updateShiftOfferStatus(offerId, "accepted", {
+    status: status,
+    decidedBy: decidedBy,
+    decidedAt: new Date()
+  });
+
+  if (!updated) {
+    throw new ConflictError("Offer is not waiting for approval");
+  }
+
+  if (approve) {
+    const moved = await persistence.transferShift(
+      String(offer.shiftId), String(offer.fromEmployeeId), String(offer.takerId)
+    );
+
+    if (!moved) {
+      await persistence.updateShiftOfferStatus(offerId, "approved", { status: "accepted" });
+      throw new ConflictError("The employee who offered the shift is no longer assigned to it");
+    }
+  }
+}
+
+/**
+ * Add the shift and employee names to offers for display.
+ *
+ * @param {Array<Object>} offers
+ * @returns {Promise<Array<Object>>} offers with shift, fromName, toName and takerName
+ */
+async function describeShiftOffers(offers) {
+  const ids = [];
+
+  for (let i = 0; i < offers.length; i++) {
+    ids.push(offers[i].fromEmployeeId);
+
+    if (offers[i].toEmployeeId) {
+      ids.push(offers[i].toEmployeeId);
+    }
+
+    if (offers[i].takerId) {
+      ids.push(offers[i].takerId);
+    }
+  }
+
+  const names = {};
+
+  if (ids.length > 0) {
+    const employees = await persistence.findEmployeesByIds(ids);
+
+    for (let i = 0; i < employees.length; i++) {
+      names[String(employees[i]._id)] = employees[i].name;
+    }
+  }
+
+  for (let i = 0; i < offers.length; i++) {
+    const offer = offers[i];
+
+    offer.shift = await persistence.findShift(String(offer.shiftId));
+    offer.fromName = names[String(offer.fromEmployeeId)] || "";
+    offer.toName = offer.toEmployeeId ? names[String(offer.toEmployeeId)] || "" : "Anyone";
+    offer.takerName = offer.takerId ? names[String(offer.takerId)] || "" : "";
+  }
+
+  return offers;
+}
+
+/**
+ * Shift offers for an employee's page: the ones they made, and the ones
+ * made by others that they can take or have taken.
+ *
+ * @param {string} empId
+ * @returns {Promise<{mine: Array<Object>, others: Array<Object>}>}
+ */
+async function listShiftOffersForEmployee(empId) {
+  const offers = await describeShiftOffers(await persistence.getShiftOffersForEmployee(empId));
+  const mine = [];
+  const others = [];
+
+  for (let i = 0; i < offers.length; i++) {
+    // Offers whose shift was deleted are left out
+    if (!offers[i].shift) {
+      continue;
+    }
+
+    if (String(offers[i].fromEmployeeId) === empId) {
+      offers[i].canCancel = offers[i].status === "open" || offers[i].status === "accepted";
+      mine.push(offers[i]);
+    } else {
+      offers[i].canAccept = offers[i].status === "open";
+      others.push(offers[i]);
+    }
+  }
+
+  return { mine: mine, others: others };
+}
+
+/**
+ * Accepted offers waiting for a manager, oldest first.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function listShiftOffersAwaitingApproval() {
+  const offers = await describeShiftOffers(await persistence.getShiftOffersByStatus("accepted"));
+  const result = [];
+
+  for (let i = 0; i < offers.length; i++) {
+    if (offers[i].shift) {
+      result.push(offers[i]);
+    }
+  }
+
+  return result;
+}
+
+// How long before a shift starts employees may clock in
+const CLOCK_IN_EARLY_MINUTES = 60;
+const DEFAULT_ATTENDANCE_GRACE_MINUTES = 5;
+
+/**
+ * A Date as minutes counted from 1970-01-01 in server local time, on the
+ * same scale as getShiftInterval so punches and shifts can be compared.
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+function localMinutes(date) {
+  const dayNumber = Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / (24 * 60 * 60 * 1000));
+
+  return dayNumber * 24 * 60 + date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Build a Date from "YYYY-MM-DD" and "HH:MM" in server local time.
+ *
+ * @param {string} dateText
+ * @param {string} timeText
+ * @returns {Date|null} null if either part is invalid.
+ */
+function parseLocalDateTime(dateText, timeText) {
+  const minutes = toMinutes(timeText);
+
+  if (!isValidDate(dateText) || !Number.isFinite(minutes)) {
+    return null;
+  }
+
+  return new Date(
+    Number(dateText.slice(0, 4)), Number(dateText.slice(5, 7)) - 1, Number(dateText.slice(8, 10)),
+    Math.floor(minutes / 60), minutes % 60
+  );
+}
+
+/**
+ * Format a Date as "YYYY-MM-DD HH:MM" in server local time.
+ *
+ * @param {Date|null} date
+ * @returns {string} Empty string for null.
+ */
+function formatLocalDateTime(date) {
+  if (!(date instanceof Date)) {
+    return "";
+  }
+
+  return String(date.getFullYear()) + "-" +
+    String(date.getMonth() + 1).padStart(2, "0") + "-" +
+    String(date.getDate()).padStart(2, "0") + " " +
+    String(date.getHours()).padStart(2, "0") + ":" +
+    String(date.getMinutes()).padStart(2, "0");
+}
+
+/**
+ * Minutes an employee may be late or leave early before it is flagged,
+ * from attendanceGraceMinutes in config.json.
+ *
+ * @param {Object} config
+ * @returns {number}
+ */
+function getAttendanceGraceMinutes(config) {
+  const minutes = Number(config.attendanceGraceMinutes);
+
+  if (config.attendanceGraceMinutes === undefined || !Number.isFinite(minutes) || minutes < 0) {
+    return DEFAULT_ATTENDANCE_GRACE_MINUTES;
+  }
+
+  return minutes;
+}
+
+/**
+ * Clock in for an assigned shift. Allowed from CLOCK_IN_EARLY_MINUTES
+ * before the start until the shift ends, once per shift.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError}
+ */
+async function clockIn(empId, shiftId) {
+  await requireEmployee(empId);
+  const shift = await requireShift(shiftId);
+
+  if (!isAssigned(shift, empId)) {
+    throw new ConflictError("Employee is not assigned to shift");
+  }
+
+  const interval = getShiftInterval(shift);
+  const now = new Date();
+  const nowMinutes = localMinutes(now);
+
+  if (!interval || nowMinutes < interval.start - CLOCK_IN_EARLY_MINUTES) {
+    throw new ConflictError("Too early to clock in for " + describeShift(shift));
+  }
+
+  if (nowMinutes > interval.end) {
+    throw new ConflictError("Cannot clock in: " + describeShift(shift) + " has already ended");
+  }
+
+  if (await persistence.findPunch(empId, shiftId)) {
+    throw new ConflictError("Already clocked in for " + describeShift(shift));
+  }
+
+  await persistence.insertPunch({
+    employeeId: empId,
+    shiftId: shiftId,
+    clockIn: now,
+    clockOut: null,
+    corrections: []
+  });
+}
+
+/**
+ * Clock out of a shift the employee clocked in for.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ * @throws {ConflictError}
+ */
+async function clockOut(empId, shiftId) {
+  const punch = await persistence.findPunch(empId, shiftId);
+
+  if (!punch) {
+    throw new ConflictError("Not clocked in for this shift");
+  }
+
+  if (punch.clockOut || !(await persistence.setClockOut(String(punch._id), new Date()))) {
+    throw new ConflictError("Already clocked out of this shift");
+  }
+}
+
+/**
+ * The employee's shifts that can be clocked in or out of right now:
+ * shifts starting within CLOCK_IN_EARLY_MINUTES or running, and shifts
+ * still clocked in.
+ *
+ * @param {string} empId
+ * @returns {Promise<Array<{shift: Object, clockIn: string, clockOut: string, canClockIn: boolean, canClockOut: boolean}>>}
+ */
+async function getTimeClock(empId) {
+  const today = todayText();
+  const yesterday = addDays(today, -1);
+  const nowMinutes = localMinutes(new Date());
+  const scheduled = await persistence.getEmployeeShifts(empId);
+
+  // Overnight shifts from yesterday can still be running
+  const recent = [];
+  const shiftIds = [];
+
+  for (let i = 0; i < scheduled.length; i++) {
+    if (scheduled[i].date === today || scheduled[i].date === yesterday) {
+      recent.push(scheduled[i]);
+      shiftIds.push(scheduled[i]._id);
+    }
+  }
+
+  if (recent.length === 0) {
+    return [];
+  }
+
+  const punches = await persistence.getPunchesForShifts(shiftIds);
+  const rows = [];
+
+  for (let i = 0; i < recent.length; i++) {
+    const shift = recent[i];
+    const interval = getShiftInterval(shift);
+    let punch = null;
+
+    for (let j = 0; j < punches.length; j++) {
+      if (String(punches[j].shiftId) === String(shift._id) && String(punches[j].employeeId) === empId) {
+        punch = punches[j];
+      }
+    }
+
+    const canClockIn = !punch && interval !== null &&
+      nowMinutes >= interval.start - CLOCK_IN_EARLY_MINUTES && nowMinutes <= interval.end;
+    const canClockOut = punch !== null && !punch.clockOut;
+
+    if (canClockIn || canClockOut || (punch && interval && nowMinutes <= interval.end)) {
+      rows.push({
+        shift: shift,
+        clockIn: punch ? formatLocalDateTime(punch.clockIn) : "",
+        clockOut: punch ? formatLocalDateTime(punch.clockOut) : "",
+        canClockIn: canClockIn,
+        canClockOut: canClockOut
+      });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Compare punches with the schedule for a date range. Scheduled minutes
+ * come from getShiftMinutes. Each employee on each shift gets one row,
+ * flagged when they clocked in more than attendanceGraceMinutes late,
+ * clocked out more than attendanceGraceMinutes early, never clocked out,
+ * or missed a shift that has ended.
+ *
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD", inclusive
+ * @returns {Promise<{rows: Array<Object>, error: string}>}
+ */
+async function getAttendanceReport(fromDate, toDate) {
+  const error = validateDateRange(fromDate, toDate);
+
+  if (error) {
+    return { rows: [], error: error };
+  }
+
+  const config = await persistence.getConfig();
+  const grace = getAttendanceGraceMinutes(config);
+  const nowMinutes = localMinutes(new Date());
+
+  const shifts = await persistence.getShiftsInRange(fromDate, toDate);
+  const employeesById = await getAssignedEmployeesById(shifts);
+  const shiftIds = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    shiftIds.push(shifts[i]._id);
+  }
+
+  const punchesByKey = {};
+
+  if (shiftIds.length > 0) {
+    const punches = await persistence.getPunchesForShifts(shiftIds);
+
+    for (let i = 0; i < punches.length; i++) {
+      punchesByKey[String(punches[i].shiftId) + ":" + String(punches[i].employeeId)] = punches[i];
+    }
+  }
+
+  const rows = [];
+
+  for (let i = 0; i < shifts.length; i++) {
+    const shift = shifts[i];
+    const interval = getShiftInterval(shift);
+    const scheduledMinutes = getShiftMinutes(shift.startTime, shift.endTime);
+    const assigned = shift.employees || [];
+
+    for (let j = 0; j < assigned.length; j++) {
+      const empId = String(assigned[j]);
+      const employee = employeesById[empId];
+      const punch = punchesByKey[String(shift._id) + ":" + empId];
+      const flags = [];
+      let actualMinutes = null;
+
+      if (!punch) {
+        if (interval && nowMinutes > interval.end) {
+          flags.push("missed");
+        }
+      } else {
+        const inMinutes = localMinutes(punch.clockIn);
+
+        if (interval && inMinutes > interval.start + grace) {
+          flags.push("late " + (inMinutes - interval.start) + " min");
+        }
+
+        if (punch.clockOut) {
+          const outMinutes = localMinutes(punch.clockOut);
+
+          actualMinutes = Math.round((punch.clockOut.getTime() - punch.clockIn.getTime()) / 60000);
+
+          if (interval && outMinutes < interval.end - grace) {
+            flags.push("left early " + (interval.end - outMinutes) + " min");
+          }
+        } else if (interval && nowMinutes > interval.end) {
+          flags.push("not clocked out");
+        }
+      }
+
+      rows.push({
+        shift: shift,
+        employeeId: empId,
+        employeeName: employee ? employee.name : "",
+        scheduledHours: formatHours(scheduledMinutes),
+        actualHours: actualMinutes === null ? "" : formatHours(actualMinutes),
+        clockIn: punch ? formatLocalDateTime(punch.clockIn) : "",
+        clockOut: punch ? formatLocalDateTime(punch.clockOut) : "",
+        corrected: Boolean(punch && punch.corrections && punch.corrections.length > 0),
+        flags: flags.join(", ")
+      });
+    }
+  }
+
+  return { rows: rows, error: "" };
+}
+
+/**
+ * One employee's punch on a shift, with its correction history, for the
+ * manager correction form.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<Object|null>} null if the employee or shift does not exist.
+ */
+async function getAttendanceDetail(empId, shiftId) {
+  const employee = await persistence.findEmployee(empId);
+  const shift = await persistence.findShift(shiftId);
+
+  if (!employee || !shift) {
+    return null;
+  }
+
+  const punch = await persistence.findPunch(empId, shiftId);
+  const detail = {
+    employee: employee,
+    shift: shift,
+    clockInDate: shift.date,
+    clockInTime: shift.startTime,
+    clockOutDate: "",
+    clockOutTime: "",
+    corrections: []
+  };
+
+  if (!punch) {
+    return detail;
+  }
+
+  const clockInText = formatLocalDateTime(punch.clockIn);
+  const clockOutText = formatLocalDateTime(punch.clockOut);
+
+  detail.clockInDate = clockInText.slice(0, 10);
+  detail.clockInTime = clockInText.slice(11);
+  detail.clockOutDate = clockOutText.slice(0, 10);
+  detail.clockOutTime = clockOutText.slice(11);
+
+  const corrections = punch.corrections || [];
+
+  for (let i = 0; i < corrections.length; i++) {
+    const before = corrections[i].before;
+
+    detail.corrections.push({
+      by: corrections[i].by,
+      at: formatLocalDateTime(corrections[i].at),
+      reason: corrections[i].reason,
+      before: before ? formatLocalDateTime(before.clockIn) + " - " + formatLocalDateTime(before.clockOut) : "no punch",
+      after: formatLocalDateTime(corrections[i].after.clockIn) + " - " + formatLocalDateTime(corrections[i].after.clockOut)
+    });
+  }
+
+  return detail;
+}
+
+/**
+ * Manager correction of a punch, or a punch added for a missed clock-in.
+ * The previous times, the manager and the reason are kept on the punch.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @param {{clockInDate: string, clockInTime: string, clockOutDate: string, clockOutTime: string}} times - clock-out may be blank
+ * @param {string} reason
+ * @param {string} correctedBy - username of the manager
+ * @returns {Promise<void>}
+ * @throws {ValidationError|NotFoundError|ConflictError}
+ */
+async function correctAttendance(empId, shiftId, times, reason, correctedBy) {
+  if (reason.length === 0) {
+    throw new ValidationError("A reason is required for every correction");
+  }
+
+  await requireEmployee(empId);
+  const shift = await requireShift(shiftId);
+
+  const newClockIn = parseLocalDateTime(times.clockInDate, times.clockInTime);
+
+  if (!newClockIn) {
+    throw new ValidationError("Clock-in must be a valid date and time");
+  }
+
+  let newClockOut = null;
+
+  if (times.clockOutDate.length > 0 || times.clockOutTime.length > 0) {
+    newClockOut = parseLocalDateTime(times.clockOutDate, times.clockOutTime);
+
+    if (!newClockOut) {
+      throw new ValidationError("Clock-out must be a valid date and time, or left blank");
+    }
+
+    if (newClockOut.getTime() <= newClockIn.getTime()) {
+      throw new ValidationError("Clock-out must be after clock-in");
+    }
+  }
+
+  const punch = await persistence.findPunch(empId, shiftId);
+
+  if (!punch && !isAssigned(shift, empId)) {
+    throw new ConflictError("Employee is not assigned to shift");
+  }
+
+  const correction = {
+    by: correctedBy,
+    at: new Date(),
+    reason: reason,
+    before: punch ? { clockIn: punch.clockIn, clockOut: punch.clockOut } : null,
+    after: { clockIn: newClockIn, clockOut: newClockOut }
+  };
+
+  if (punch) {
+    await persistence.correctPunch(String(punch._id), newClockIn, newClockOut, correction);
+  } else {
+    await persistence.insertPunch({
+      employeeId: empId,
+      shiftId: shiftId,
+      clockIn: newClockIn,
+      clockOut: newClockOut,
+      corrections: [correction]
+    });
+  }
+}
+
+/**
+ * Minimum password length from config.json (passwordMinLength), default 8.
+ *
+ * @returns {Promise<number>}
+ */
+async function getPasswordMinLength() {
+  const config = await persistence.getConfig();
+  const minLength = Number(config.passwordMinLength);
+
+  if (Number.isInteger(minLength) && minLength > 0) {
+    return minLength;
+  }
+
+  return 8;
+}
+
+/**
+ * Check a new password against the password policy.
+ *
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<string>} Empty string if valid, otherwise the reason.
+ */
+async function validatePassword(username, password) {
+  const minLength = await getPasswordMinLength();
+
+  if (typeof password !== "string" || password.length < minLength) {
+    return "Password must be at least " + minLength + " characters";
+  }
+
+  if (password.toLowerCase() === String(username).toLowerCase()) {
+    return "Password must not be the same as the username";
+  }
+
+  return "";
+}
+
+/**
+ * List all users.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function listUsers() {
+  return await persistence.getAllUsers();
+}
+
+/**
+ * Get one user by ID.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object|undefined>}
+ */
+async function getUser(userId) {
+  return await persistence.findUser(userId);
+}
+
+/**
+ * Get one user by username.
+ *
+ * @param {string} username
+ * @returns {Promise<Object|undefined>}
+ */
+async function getUserByUsername(username) {
+  return await persistence.findUserByUsername(username);
+}
+
+/**
+ * Create a user account. The password is hashed with bcrypt
+ * the same way create_users.js does.
+ *
+ * @param {{username: string, password: string, role: string, employeeId: string}} user
+ * @returns {Promise<void>}
+ * @throws {ValidationError|ConflictError|NotFoundError}
+ */
+async function createUser(user) {
+  if (typeof user.username !== "string" || !/^[A-Za-z0-9_.-]{3,32}$/.test(user.username)) {
+    throw new ValidationError("Username must be 3-32 letters, digits, dots, dashes or underscores");
+  }
+
+  if (user.role !== "admin" && user.role !== "staff") {
+    throw new ValidationError("Role must be admin or staff");
+  }
+
+  const existing = await persistence.findUserByUsername(user.username);
+  if (existing) {
+    throw new ConflictError("Username already exists");
+  }
+
+  let employeeId = null;
+
+  if (user.employeeId) {
+    const employee = await requireEmployee(user.employeeId);
+    employeeId = employee._id;
+  }
+
+  const passwordError = await validatePassword(user.username, user.password);
+  if (passwordError) {
+    throw new ValidationError(passwordError);
+  }
+
+  const hash = await bcrypt.hash(user.password, 10);
+
+  await persistence.createUser({
+    username: user.username,
+    password: hash,
+    role: user.role,
+    employeeId: employeeId
+  });
+}
+
+/**
+ * Get one user by ID, or throw if there is no such user.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object>}
+ * @throws {NotFoundError}
+ */
+async function requireUser(userId) {
+  const user = await persistence.findUser(userId);
+  if (!user) {
+    throw new NotFoundError("User does not exist");
+  }
+
+  return user;
+}
+
+/**
+ * Change a user's own password after confirming the current one.
+ *
+ * @param {string} username
+ * @param {string} currentPassword
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function changePassword(username, currentPassword, newPassword) {
+  const user = await persistence.findUserByUsername(username);
+  if (!user) {
+    throw new NotFoundError("User does not exist");
+  }
+
+  const ok = await bcrypt.compare(currentPassword, user.password);
+  if (!ok) {
+    throw new ValidationError("Current password is incorrect");
+  }
+
+  if (currentPassword === newPassword) {
+    throw new ValidationError("New password must be different from the current password");
+  }
+
+  const passwordError = await validatePassword(username, newPassword);
+  if (passwordError) {
+    throw new ValidationError(passwordError);
+  }
+
+  const hash = await bcrypt.hash(newPassword, 10);
+
+  await persistence.updateUserPassword(String(user._id), hash);
+}
+
+/**
+ * Set a new password for a user (admin reset).
+ *
+ * @param {string} userId
+ * @param {string} newPassword
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ValidationError}
+ */
+async function resetPassword(userId, newPassword) {
+  const user = await requireUser(userId);
+
+  const passwordError = await validatePassword(user.username, newPassword);
+  if (passwordError) {
+    throw new ValidationError(passwordError);
+  }
+
+  const hash = await bcrypt.hash(newPassword, 10);
+
+  await persistence.updateUserPassword(userId, hash);
+}
+
+/**
+ * Disable or enable a user account.
+ *
+ * @param {string} userId
+ * @param {boolean} disabled
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function setUserDisabled(userId, disabled) {
+  await requireUser(userId);
+  await persistence.setUserDisabled(userId, disabled);
+}
+
+/**
+ * Role of a user document. Users without a role are treated as staff.
+ *
+ * @param {Object} user
+ * @returns {string}
+ */
+function getUserRole(user) {
+  if (user.role === "admin") {
+    return "admin";
+  }
+
+  return "staff";
+}
+
+/**
+ * SHA-256 hash of an API token, which is what gets stored.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Issue a new API token for a user. The plain token is only returned
+ * here; afterwards only its hash is known.
+ *
+ * @param {string} username
+ * @param {string} label - what the token is for, e.g. "payroll script"
+ * @returns {Promise<string>} The token, shown to the user once.
+ * @throws {ValidationError|NotFoundError}
+ */
+async function issueApiToken(username, label) {
+  if (typeof label !== "string" || label.trim().length === 0) {
+    throw new ValidationError("Label must be non-empty");
+  }
+
+  const user = await persistence.findUserByUsername(username);
+  if (!user) {
+    throw new NotFoundError("User does not exist");
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await persistence.insertApiToken({
+    tokenHash: hashApiToken(token),
+    username: username,
+    label: label.trim()
+  });
+
+  return token;
+}
+
+/**
+ * List the active API tokens of a user (hashes only).
+ *
+ * @param {string} username
+ * @returns {Promise<Array<Object>>}
+ */
+async function listApiTokens(username) {
+  return await persistence.getApiTokensForUser(username);
+}
+
+/**
+ * Revoke one of the user's own API tokens.
+ *
+ * @param {string} username
+ * @param {string} tokenId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError}
+ */
+async function revokeApiToken(username, tokenId) {
+  if (!/^[0-9a-fA-F]{24}$/.test(tokenId)) {
+    throw new NotFoundError("Token does not exist");
+  }
+
+  const revoked = await persistence.revokeApiToken(tokenId, username);
+  if (!revoked) {
+    throw new NotFoundError("Token does not exist");
+  }
+}
+
+/**
+ * Find the user an API token belongs to. Revoked tokens and
+ * disabled users are rejected.
+ *
+ * @param {string} token
+ * @returns {Promise<{username: string, role: string, employeeId: string}|undefined>}
+ */
+async function authenticateApiToken(token) {
+  if (typeof token !== "string" || token.length === 0) {
+    return undefined;
+  }
+
+  const stored = await persistence.findApiTokenByHash(hashApiToken(token));
+  if (!stored) {
+    return undefined;
+  }
+
+  const user = await persistence.findUserByUsername(stored.username);
+  if (!user || user.disabled === true) {
+    return undefined;
+  }
+
+  await persistence.touchApiToken(stored._id);
+
+  let employeeId = "";
+
+  if (user.employeeId) {
+    employeeId = String(user.employeeId);
+  }
+
+  return { username: user.username, role: getUserRole(user), employeeId: employeeId };
+}
+
+const SECURITY_LOG_PAGE_SIZE = 50;
+const HTTP_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+
+/**
+ * Store one security log entry with the current time.
+ *
+ * @param {{username: string, url: string, method: string, eventType: string, ip: string, statusCode: number}} entry
+ * @returns {Promise<void>}
+ */
+async function recordSecurityLog(entry) {
+  await persistence.insertSecurityLog({
+    timestamp: new Date(),
+    username: entry.username,
+    url: entry.url,
+    method: entry.method,
+    eventType: entry.eventType,
+    ip: entry.ip,
+    statusCode: entry.statusCode
+  });
+}
+
+/**
+ * Turn raw query-string values into security log filters.
+ * Dates are "YYYY-MM-DD" in server local time; "to" includes the whole day.
+ *
+ * @param {{username: string, urlPrefix: string, method: string, from: string, to: string}} raw
+ * @returns {{filters: Object, error: string}}
+ */
+function parseSecurityLogFilters(raw) {
+  const filters = {
+    username: raw.username,
+    urlPrefix: raw.urlPrefix,
+    method: raw.method.toUpperCase(),
+    from: null,
+    to: null
+  };
+
+  if (filters.method && !HTTP_METHODS.includes(filters.method)) {
+    return { filters: filters, error: "Unknown HTTP method" };
+  }
+
+  if (raw.from) {
+    if (!isValidDate(raw.from)) {
+      return { filters: filters, error: "From date must be in YYYY-MM-DD format" };
+    }
+
+    filters.from = new Date(raw.from + "T00:00:00");
+  }
+
+  if (raw.to) {
+    if (!isValidDate(raw.to)) {
+      return { filters: filters, error: "To date must be in YYYY-MM-DD format" };
+    }
+
+    filters.to = new Date(raw.to + "T00:00:00");
+    filters.to.setDate(filters.to.getDate() + 1);
+  }
+
+  return { filters: filters, error: "" };
+}
+
+/**
+ * One page of security log entries, newest first.
+ *
+ * @param {Object} filters - from parseSecurityLogFilters
+ * @param {number} page - 1-based page number
+ * @returns {Promise<{entries: Array<Object>, total: number, page: number, pageCount: number}>}
+ */
+async function listSecurityLog(filters, page) {
+  const total = await persistence.countSecurityLog(filters);
+  const pageCount = Math.max(1, Math.ceil(total / SECURITY_LOG_PAGE_SIZE));
+
+  let current = Math.floor(Number(page));
+
+  if (!Number.isFinite(current) || current < 1) {
+    current = 1;
+  }
+
+  if (current > pageCount) {
+    current = pageCount;
+  }
+
+  const entries = await persistence.findSecurityLog(
+    filters,
+    (current - 1) * SECURITY_LOG_PAGE_SIZE,
+    SECURITY_LOG_PAGE_SIZE
+  );
+
+  return { entries: entries, total: total, page: current, pageCount: pageCount };
+}
+
+/**
+ * Quote one CSV value. Values that a spreadsheet would run as a
+ * formula (=, +, -, @) are prefixed with a single quote.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvValue(value) {
+  let text = "";
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (value !== undefined && value !== null) {
+    text = String(value);
+  }
+
+  if (/^[=+\-@]/.test(text)) {
+    text = "'" + text;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = "\"" + text.replace(/"/g, "\"\"") + "\"";
+  }
+
+  return text;
+}
+
+/**
+ * All security log entries matching the filters as CSV text.
+ *
+ * @param {Object} filters - from parseSecurityLogFilters
+ * @returns {Promise<string>}
+ */
+async function exportSecurityLogCsv(filters) {
+  const entries = await persistence.findSecurityLog(filters, 0, 0);
+  const fields = ["timestamp", "username", "eventType", "method", "url", "statusCode", "ip"];
+
+  let csv = fields.join(",") + "\r\n";
+
+  for (let i = 0; i < entries.length; i++) {
+    const values = [];
+
+    for (let j = 0; j < fields.length; j++) {
+      values.push(csvValue(entries[i][fields[j]]));
+    }
+
+    csv += values.join(",") + "\r\n";
+  }
+
+  return csv;
+}
+
+const DEFAULT_PAY_PERIOD = { lengthDays: 14, firstStartDate: "2026-01-05" };
+const DEFAULT_OVERTIME_PAY_MULTIPLIER = 1.5;
+
+/**
+ * The pay period containing a date. Periods are lengthDays long and
+ * repeat from firstStartDate, both read from the payPeriod object in
+ * config.json (default: every 14 days from Monday 2026-01-05).
+ *
+ * @param {Object} config
+ * @param {string} dateText - "YYYY-MM-DD"
+ * @returns {{startDate: string, endDate: string, error: string}}
+ */
+function getPayPeriod(config, dateText) {
+  const configured = config.payPeriod || {};
+  let lengthDays = DEFAULT_PAY_PERIOD.lengthDays;
+  let firstStartDate = DEFAULT_PAY_PERIOD.firstStartDate;
+
+  if (configured.lengthDays !== undefined) {
+    lengthDays = Number(configured.lengthDays);
+  }
+
+  if (configured.firstStartDate !== undefined) {
+    firstStartDate = configured.firstStartDate;
+  }
+
+  if (!Number.isInteger(lengthDays) || lengthDays < 1) {
+    return { startDate: "", endDate: "", error: "Invalid config: payPeriod.lengthDays must be a whole number of days" };
+  }
+
+  if (!isValidDate(firstStartDate)) {
+    return { startDate: "", endDate: "", error: "Invalid config: payPeriod.firstStartDate must be a date in YYYY-MM-DD format" };
+  }
+
+  if (!isValidDate(dateText)) {
+    return { startDate: "", endDate: "", error: "Date must be a valid date in YYYY-MM-DD format" };
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const daysSinceFirst = Math.round(
+    (new Date(dateText + "T00:00:00Z").getTime() - new Date(firstStartDate + "T00:00:00Z").getTime()) / dayMs
+  );
+  const startDate = addDays(firstStartDate, Math.floor(daysSinceFirst / lengthDays) * lengthDays);
+
+  return { startDate: startDate, endDate: addDays(startDate, lengthDays - 1), error: "" };
+}
+
+/**
+ * Split worked minutes into regular and overtime for the days from
+ * fromDate to toDate, using overtimeDailyHours and overtimeWeeklyHours
+ * from getHourRules. Daily overtime is counted first; the weekly limit
+ * then applies to the remaining regular minutes of each Monday-Sunday
+ * week, so a period that starts mid-week still sees the whole week.
+ *
+ * @param {Object<string, number>} minutesByDay - from getMinutesByDay
+ * @param {Object} rules - from getHourRules
+ * @param {string} fromDate
+ * @param {string} toDate - inclusive
+ * @returns {{regularMinutes: number, overtimeMinutes: number}}
+ */
+function splitOvertime(minutesByDay, rules, fromDate, toDate) {
+  const dailyLimit = rules.overtimeDailyHours ? Math.floor(rules.overtimeDailyHours * 60) : null;
+  const weeklyLimit = rules.overtimeWeeklyHours ? Math.floor(rules.overtimeWeeklyHours * 60) : null;
+  let regularMinutes = 0;
+  let overtimeMinutes = 0;
+
+  for (let weekStart = startOfWeek(fromDate); weekStart <= toDate; weekStart = addDays(weekStart, 7)) {
+    let weekRegular = 0;
+
+    for (let d = 0; d < 7; d++) {
+      const day = addDays(weekStart, d);
+      const minutes = minutesByDay[day] || 0;
+      let overtime = 0;
+
+      if (dailyLimit !== null && minutes > dailyLimit) {
+        overtime = minutes - dailyLimit;
+      }
+
+      let regular = minutes - overtime;
+
+      if (weeklyLimit !== null && weekRegular + regular > weeklyLimit) {
+        const weeklyOvertime = Math.min(regular, weekRegular + regular - weeklyLimit);
+
+        regular -= weeklyOvertime;
+        overtime += weeklyOvertime;
+      }
+
+      weekRegular += regular;
+
+      if (day >= fromDate && day <= toDate) {
+        regularMinutes += regular;
+        overtimeMinutes += overtime;
+      }
+    }
+  }
+
+  return { regularMinutes: regularMinutes, overtimeMinutes: overtimeMinutes };
+}
+
+/**
+ * Round an amount of money to cents.
+ *
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Scheduled hours per employee for the pay period containing dateText,
+ * split into regular and overtime, with a gross pay estimate from each
+ * employee's hourlyRate. Overtime is paid at overtimePayMultiplier
+ * (config.json, default 1.5). Minutes come from splitShiftByDay, so
+ * overnight shifts count towards the days they cover.
+ *
+ * @param {string} dateText - any day in the wanted period, "YYYY-MM-DD"
+ * @returns {Promise<{startDate: string, endDate: string, rows: Array<Object>, error: string}>}
+ */
+async function getPayrollReport(dateText) {
+  const config = await persistence.getConfig();
+  const period = getPayPeriod(config, dateText);
+
+  if (period.error) {
+    return { startDate: "", endDate: "", rows: [], error: period.error };
+  }
+
+  const hourRules = getHourRules(config);
+
+  if (hourRules.error) {
+    return { startDate: "", endDate: "", rows: [], error: hourRules.error };
+  }
+
+  let multiplier = DEFAULT_OVERTIME_PAY_MULTIPLIER;
+
+  if (config.overtimePayMultiplier !== undefined) {
+    multiplier = Number(config.overtimePayMultiplier);
+
+    if (!Number.isFinite(multiplier) || multiplier < 1) {
+      return { startDate: "", endDate: "", rows: [], error: "Invalid config: overtimePayMultiplier must be at least 1" };
+    }
+  }
+
+  // Whole weeks around the period for the weekly overtime limit, plus the
+  // day before so overnight shifts running into the first day are counted
+  const shifts = await persistence.getShiftsInRange(
+    addDays(startOfWeek(period.startDate), -1),
+    addDays(startOfWeek(period.endDate), 6)
+  );
+  const employeesById = await getAssignedEmployeesById(shifts);
+  const shiftsById = {};
+
+  for (let i = 0; i < shifts.length; i++) {
+    const assigned = shifts[i].employees || [];
+
+    for (let j = 0; j < assigned.length; j++) {
+      const empId = String(assigned[j]);
+
+      if (!shiftsById[empId]) {
+        shiftsById[empId] = [];
+      }
+
+      shiftsById[empId].push(shifts[i]);
+    }
+  }
+
+  const rows = [];
+  const empIds = Object.keys(shiftsById);
+
+  for (let i = 0; i < empIds.length; i++) {
+    const employee = employeesById[empIds[i]];
+
+    if (!employee) {
+      continue;
+    }
+
+    const split = splitOvertime(getMinutesByDay(shiftsById[empIds[i]]), hourRules.rules, period.startDate, period.endDate);
+
+    if (split.regularMinutes + split.overtimeMinutes === 0) {
+      continue;
+    }
+
+    let hourlyRate = null;
+    let grossPay = null;
+
+    if (typeof employee.hourlyRate === "number") {
+      hourlyRate = employee.hourlyRate;
+      grossPay = roundCents(
+        split.regularMinutes / 60 * hourlyRate + split.overtimeMinutes / 60 * hourlyRate * multiplier
+      );
+    }
+
+    rows.push({
+      employeeId: empIds[i],
+      name: employee.name,
+      regularHours: Number(formatHours(split.regularMinutes)),
+      overtimeHours: Number(formatHours(split.overtimeMinutes)),
+      totalHours: Number(formatHours(split.regularMinutes + split.overtimeMinutes)),
+      hourlyRate: hourlyRate,
+      grossPay: grossPay
+    });
+  }
+
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = 0; j < rows.length - 1; j++) {
+      if (rows[j].name > rows[j + 1].name) {
+        const tmp = rows[j];
+        rows[j] = rows[j + 1];
+        rows[j + 1] = tmp;
+      }
+    }
+  }
+
+  return { startDate: period.startDate, endDate: period.endDate, rows: rows, error: "" };
+}
+
+/**
+ * Payroll report rows as CSV. Employees without an hourly rate get empty
+ * rate and gross pay cells.
+ *
+ * @param {Array<Object>} rows - from getPayrollReport
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {string}
+ */
+function exportPayrollCsv(rows, startDate, endDate) {
+  const fields = ["employeeId", "name", "regularHours", "overtimeHours", "totalHours", "hourlyRate", "grossPay"];
+
+  let csv = "periodStart,periodEnd," + fields.join(",") + "\r\n";
+
+  for (let i = 0; i < rows.length; i++) {
+    const values = [csvValue(startDate), csvValue(endDate)];
+
+    for (let j = 0; j < fields.length; j++) {
+      values.push(csvValue(rows[i][fields[j]]));
+    }
+
+    csv += values.join(",") + "\r\n";
+  }
+
+  return csv;
+}
+
+/**
+ * Read an hourly rate typed on the edit page.
+ *
+ * @param {string} rateText - e.g. "18.50", or "" for no rate
+ * @returns {number|null}
+ * @throws {ValidationError}
+ */
+function parseHourlyRate(rateText) {
+  if (rateText.length === 0) {
+    return null;
+  }
+
+  if (!/^[0-9]+(\.[0-9]{1,2})?$/.test(rateText)) {
+    throw new ValidationError("Hourly rate must be an amount like 18.50");
+  }
+
+  return Number(rateText);
+}
+
+/**
+ * Name and photo filename of an employee, for serving the photo or the
+ * initials avatar.
+ *
+ * @param {string} empId
+ * @returns {Promise<{name: string, photoFilename: string}>} photoFilename is "" without a photo.
+ * @throws {NotFoundError}
+ */
+async function getEmployeePhoto(empId) {
+  const employee = await requireEmployee(empId);
+
+  return { name: employee.name, photoFilename: employee.photoFilename || "" };
+}
+
+/**
+ * Point an employee at a newly stored photo file.
+ *
+ * @param {string} empId
+ * @param {string} filename - base name in the photo folder
+ * @returns {Promise<string>} The previous photo filename, "" if there was none.
+ * @throws {NotFoundError}
+ */
+async function setEmployeePhoto(empId, filename) {
+  const previous = await persistence.setEmployeePhoto(empId, filename);
+
+  if (previous === undefined) {
+    throw new NotFoundError("Employee does not exist");
+  }
+
+  return previous;
+}
+
+/**
+ * Remove the photo from an employee.
+ *
+ * @param {string} empId
+ * @returns {Promise<string>} The filename of the removed photo.
+ * @throws {NotFoundError|ConflictError}
+ */
+async function clearEmployeePhoto(empId) {
+  const previous = await persistence.setEmployeePhoto(empId, null);
+
+  if (previous === undefined) {
+    throw new NotFoundError("Employee does not exist");
+  }
+
+  if (!previous) {
+    throw new ConflictError("Employee has no photo");
+  }
+
+  return previous;
+}
+
+/**
+ * Convert "HH:MM" into minutes since midnight.
+ * Returns NaN if the value does not respect the expected format.
+ *
+ * @param {string} timeText
+ * @returns {number}
+ */
+function toMinutes(timeText) {
+  if (typeof timeText !== "string" || timeText.length !== 5) {
+    return NaN;
+  }
+
+  if (timeText[2] !== ":") {
+    return NaN;
+  }
+
+  const hour = Number(timeText.slice(0, 2));
+  const minute = Number(timeText.slice(3, 5));
+
+  if (!Number.isInteger(hour) || !Number.isInteger(minute)) {
+    return NaN;
+  }
+
+  if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
+    return NaN;
+  }
+
+  return hour * 60 + minute;
+}
+
+/**
+ * Duration of a shift in minutes. Overnight shifts are supported
+ * by extending the end time into the following day (22:00 -> 02:00 is 4 hours).
+ *
+ * @param {string} startTime
+ * @param {string} endTime
+ * @returns {number} Duration in minutes or NaN if invalid.
+ */
+function getShiftMinutes(startTime, endTime) {
+  const start = toMinutes(startTime);
+  const end = toMinutes(endTime);
+
+  if (!Number.isFinite(start) || !Number.isFinite(end)) {
+    return NaN;
+  }
+
+  let endAdjusted = end;
+
+  if (endAdjusted < start) {
+    endAdjusted += 24 * 60;
+  }
+
+  return endAdjusted - start;
+}
+
 module.exports = {
   listEmployees,
+  listEmployeesPage,
+  listInactiveEmployees,
+  validateEmployee,
+  addEmployee,
+  setEmployeeActive,
+  isActive,
   getEmployee,
+  requireEmployee,
   getScheduleForEmployee,
   getScheduleForEmployeeSorted,
-  updateEmployee
+  updateEmployee,
+  parsePositions,
+  listShifts,
+  getShift,
+  requireShift,
+  getShiftEmployees,
+  validateShift,
+  getRequiredHeadcount,
+  parseRequiredPositions,
+  formatRequiredPositions,
+  createShift,
+  updateShift,
+  deleteShift,
+  getCalendar,
+  splitShiftByDay,
+  getMinutesByDay,
+  getHourRules,
+  checkHourRules,
+  checkAssignment,
+  getStaffingReport,
+  planAssignments,
+  previewAutoSchedule,
+  applyAutoSchedule,
+  findShiftConflicts,
+  getScheduleConflicts,
+  getConflictsForSchedule,
+  DAY_NAMES,
+  isValidDate,
+  addDays,
+  todayText,
+  dayOfWeek,
+  isWithinAvailability,
+  findApprovedLeave,
+  describeAvailability,
+  setAvailability,
+  requestTimeOff,
+  decideTimeOff,
+  listPendingTimeOff,
+  hasCalendarToken,
+  regenerateCalendarToken,
+  isCalendarTokenValid,
+  buildICalendar,
+  assignShift,
+  unassignShift,
+  offerShift,
+  acceptShiftOffer,
+  cancelShiftOffer,
+  decideShiftOffer,
+  listShiftOffersForEmployee,
+  listShiftOffersAwaitingApproval,
+  clockIn,
+  clockOut,
+  getTimeClock,
+  getAttendanceReport,
+  getAttendanceDetail,
+  correctAttendance,
+  validatePassword,
+  listUsers,
+  getUser,
+  getUserByUsername,
+  createUser,
+  changePassword,
+  resetPassword,
+  setUserDisabled,
+  getUserRole,
+  issueApiToken,
+  listApiTokens,
+  revokeApiToken,
+  authenticateApiToken,
+  recordSecurityLog,
+  parseSecurityLogFilters,
+  listSecurityLog,
+  exportSecurityLogCsv,
+  getPayPeriod,
+  splitOvertime,
+  getPayrollReport,
+  exportPayrollCsv,
+  getEmployeePhoto,
+  setEmployeePhoto,
+  clearEmployeePhoto,
+  csvValue,
+  toMinutes,
+  getShiftMinutes
 };
\ No newline at end of file
@@ -1,31 +1,11 @@
 "use strict";
 
-const fs = require("fs/promises");
-const { MongoClient } = require("mongodb");
 const bcrypt = require("bcrypt");
-
-const SETTINGS_FILE = "config.json";
-const DB_NAME = "infs3201_winter2026";
-
-async function readSettings() {
-    const fileText = await fs.readFile(SETTINGS_FILE, "utf8");
-    const obj = JSON.parse(fileText);
-
-    const uri = String(obj.mongoUri || "").trim();
-    if (!uri) {
-        throw new Error("Missing mongoUri in config.json");
-    }
-
-    return { mongoUri: uri };
-}
+const { getDb, closeDb } = require("./db");
 
 async function main() {
-    const settings = await readSettings();
-    const client = new MongoClient(settings.mongoUri);
-
     try {
-        await client.connect();
-        const db = client.db(DB_NAME);
+        const db = await getDb();
         const users = db.collection("users");
 
         await users.deleteMany({});
@@ -33,19 +13,25 @@ async function main() {
         const adminHash = await bcrypt.hash("admin1pass", 10);
         const staffHash = await bcrypt.hash("staff1pass", 10);
 
+        // staff1 is linked to an employee record so they can see their own schedule
+        const staffEmployee = await db.collection("employees").findOne({ name: "Alex Morgan" });
+
         await users.insertOne({
             username: "admin1",
-            password: adminHash
+            password: adminHash,
+            role: "admin"
         });
 
         await users.insertOne({
             username: "staff1",
-            password: staffHash
+            password: staffHash,
+            role: "staff",
+            employeeId: staffEmployee ? staffEmployee._id : null
         });
 
         console.log("Users created successfully.");
     } finally {
-        await client.close();
+        await closeDb();
     }
 }
 
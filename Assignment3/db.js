@@ -1,16 +1,46 @@
 "use strict";
 
+const fs = require("fs");
+const path = require("path");
 const { MongoClient } = require("mongodb");
 
+const SETTINGS_FILE = path.join(__dirname, "config.json");
 const DB_NAME = "infs3201_winter2026";
 
+let settings = null;
 let client = null;
 let db = null;
+let connecting = null;
+
+/**
+ * Read config.json once and keep it for the life of the process.
+ *
+ * @returns {Object} Parsed config.json with a non-empty mongoUri and a database name.
+ */
+function getSettings() {
+  if (settings) {
+    return settings;
+  }
+
+  const obj = JSON.parse(fs.readFileSync(SETTINGS_FILE, "utf8"));
+
+  obj.mongoUri = String(obj.mongoUri || "").trim();
+  obj.database = String(obj.database || "").trim() || DB_NAME;
+
+  if (!obj.mongoUri) {
+    throw new Error("Missing mongoUri in config.json");
+  }
+
+  settings = obj;
+  return settings;
+}
 
 /**
  * Connect to MongoDB and return the database handle.
+ * The MongoClient keeps a connection pool, so every caller shares it.
+ * The database is "database" from config.json, or DB_NAME when that is not set.
  *
- * @param {string} uri - MongoDB connection string
+ * @param {string} [uri] - MongoDB connection string, defaults to mongoUri from config.json
  * @returns {Promise<import("mongodb").Db>}
  */
 async function getDb(uri) {
@@ -18,11 +48,23 @@ async function getDb(uri) {
     return db;
   }
 
-  client = new MongoClient(uri);
-  await client.connect();
+  // Callers that arrive while the first connect is running wait for it
+  if (!connecting) {
+    connecting = (async function () {
+      const newClient = new MongoClient(uri || getSettings().mongoUri);
+      await newClient.connect();
+
+      client = newClient;
+      db = client.db(getSettings().database);
+      return db;
+    })();
+
+    connecting.catch(function () {
+      connecting = null;
+    });
+  }
 
-  db = client.db(DB_NAME);
-  return db;
+  return await connecting;
 }
 
 /**
@@ -31,14 +73,23 @@ async function getDb(uri) {
  * @returns {Promise<void>}
  */
 async function closeDb() {
+  if (connecting) {
+    await connecting.catch(function () {});
+  }
+
   if (client) {
-    await client.close();
+    const oldClient = client;
+
     client = null;
     db = null;
+    connecting = null;
+
+    await oldClient.close();
   }
 }
 
 module.exports = {
+  getSettings,
   getDb,
   closeDb
 };
\ No newline at end of file
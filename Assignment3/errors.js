@@ -0,0 +1,76 @@
+"use strict";
+
+/**
+ * Domain errors thrown by business.js. Each carries the HTTP status the
+ * web app and the API answer with; the message is safe to show to users.
+ * Anything that is not a DomainError is an internal error: it is logged
+ * and users only see a generic message.
+ */
+class DomainError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} status
+   */
+  constructor(message, status) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+/**
+ * The employee, shift, user or other record does not exist.
+ */
+class NotFoundError extends DomainError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 404);
+  }
+}
+
+/**
+ * The submitted data is invalid.
+ */
+class ValidationError extends DomainError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 400);
+  }
+}
+
+/**
+ * The request is valid but clashes with the current state, e.g. an
+ * assignment that breaks a scheduling rule.
+ */
+class ConflictError extends DomainError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 409);
+  }
+}
+
+/**
+ * The user is not allowed to do this.
+ */
+class ForbiddenError extends DomainError {
+  /**
+   * @param {string} message
+   */
+  constructor(message) {
+    super(message, 403);
+  }
+}
+
+module.exports = {
+  DomainError,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  ForbiddenError
+};
\ No newline at end of file
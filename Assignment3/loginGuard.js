@@ -0,0 +1,159 @@
+"use strict";
+
+const { getSettings } = require("./db");
+const persistence = require("./persistence");
+
+const DEFAULT_LIMITS = {
+  maxFailuresPerUser: 5,
+  maxFailuresPerIp: 20,
+  windowMinutes: 15,
+  lockoutMinutes: 15
+};
+
+// Failed attempts per client IP: ip -> { count, windowStart }
+const ipFailures = {};
+
+/**
+ * Login limits from the loginLimits object in config.json,
+ * falling back to DEFAULT_LIMITS for missing or invalid values.
+ *
+ * @returns {{maxFailuresPerUser: number, maxFailuresPerIp: number, windowMinutes: number, lockoutMinutes: number}}
+ */
+function getLoginLimits() {
+  const configured = getSettings().loginLimits || {};
+  const limits = {};
+  const keys = Object.keys(DEFAULT_LIMITS);
+
+  for (let i = 0; i < keys.length; i++) {
+    const value = Number(configured[keys[i]]);
+
+    if (Number.isFinite(value) && value > 0) {
+      limits[keys[i]] = value;
+    } else {
+      limits[keys[i]] = DEFAULT_LIMITS[keys[i]];
+    }
+  }
+
+  return limits;
+}
+
+/**
+ * Check whether an IP has too many failed logins in the current window.
+ *
+ * @param {string} ip
+ * @returns {boolean}
+ */
+function isIpBlocked(ip) {
+  const limits = getLoginLimits();
+  const entry = ipFailures[ip];
+
+  if (!entry) {
+    return false;
+  }
+
+  if (Date.now() - entry.windowStart > limits.windowMinutes * 60 * 1000) {
+    delete ipFailures[ip];
+    return false;
+  }
+
+  return entry.count >= limits.maxFailuresPerIp;
+}
+
+/**
+ * Forget IPs whose window has passed, so ipFailures does not keep
+ * growing with every address that ever failed a login.
+ *
+ * @param {number} windowMs
+ * @returns {void}
+ */
+function pruneIpFailures(windowMs) {
+  const now = Date.now();
+  const ips = Object.keys(ipFailures);
+
+  for (let i = 0; i < ips.length; i++) {
+    if (now - ipFailures[ips[i]].windowStart > windowMs) {
+      delete ipFailures[ips[i]];
+    }
+  }
+}
+
+/**
+ * Count one failed login for an IP.
+ *
+ * @param {string} ip
+ * @returns {void}
+ */
+function recordIpFailure(ip) {
+  const windowMs = getLoginLimits().windowMinutes * 60 * 1000;
+
+  pruneIpFailures(windowMs);
+
+  const entry = ipFailures[ip];
+
+  if (!entry) {
+    ipFailures[ip] = { count: 1, windowStart: Date.now() };
+    return;
+  }
+
+  entry.count++;
+}
+
+/**
+ * Milliseconds until a locked account can log in again, 0 if not locked.
+ *
+ * @param {Object} user - user document
+ * @returns {number}
+ */
+function getLockRemainingMs(user) {
+  if (!(user.lockedUntil instanceof Date)) {
+    return 0;
+  }
+
+  const remaining = user.lockedUntil.getTime() - Date.now();
+
+  if (remaining > 0) {
+    return remaining;
+  }
+
+  return 0;
+}
+
+/**
+ * Count one failed login for a user and lock the account once
+ * maxFailuresPerUser failures fall within windowMinutes.
+ *
+ * @param {string} username
+ * @returns {Promise<boolean>} true if the account is now locked.
+ */
+async function recordUserFailure(username) {
+  const limits = getLoginLimits();
+  const windowStart = new Date(Date.now() - limits.windowMinutes * 60 * 1000);
+
+  const user = await persistence.incrementLoginFailures(username, windowStart);
+
+  if (!user || user.failedLogins < limits.maxFailuresPerUser) {
+    return false;
+  }
+
+  await persistence.lockUser(username, new Date(Date.now() + limits.lockoutMinutes * 60 * 1000));
+  return true;
+}
+
+/**
+ * Reset the failed login counter and lock after a successful login.
+ *
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function clearUserFailures(username) {
+  await persistence.clearLoginFailures(username);
+}
+
+module.exports = {
+  getLoginLimits,
+  isIpBlocked,
+  recordIpFailure,
+  getLockRemainingMs,
+  recordUserFailure,
+  clearUserFailures
+};
\ No newline at end of file
@@ -1,52 +1,308 @@
 "use strict";
 
-const fs = require("fs/promises");
-const { MongoClient, ObjectId } = require("mongodb");
+const { ObjectId } = require("mongodb");
+const { getDb, getSettings } = require("./db");
 
-const SETTINGS_FILE = "config.json";
-const DB_NAME = "infs3201_winter2026";
+/**
+ * Check whether a string is a MongoDB ObjectId (24 hex characters).
+ * Malformed IDs from URLs cannot match any document, so the finders
+ * treat them as "not found" instead of letting new ObjectId() throw.
+ *
+ * @param {string|ObjectId} id
+ * @returns {boolean}
+ */
+function isValidId(id) {
+    return id instanceof ObjectId || (typeof id === "string" && /^[0-9a-fA-F]{24}$/.test(id));
+}
 
 /**
- * Read settings from config.json.
+ * Return all employees.
  *
- * @returns {Promise<{ mongoUri: string }>}
+ * @returns {Promise<Array<Object>>}
  */
-async function readSettings() {
-    const fileText = await fs.readFile(SETTINGS_FILE, "utf8");
-    const obj = JSON.parse(fileText);
+async function getAllEmployees() {
+    const db = await getDb();
+
+    const employees = [];
+    const cursor = db.collection("employees").find({});
 
-    const uri = String(obj.mongoUri || "").trim();
-    if (!uri) {
-        throw new Error("Missing mongoUri in config.json");
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
     }
 
-    return { mongoUri: uri };
+    return employees;
 }
 
 /**
- * Return all employees.
+ * Return employees that have not been deactivated.
+ * Employees created before the active flag existed count as active.
  *
  * @returns {Promise<Array<Object>>}
  */
-async function getAllEmployees() {
-    const settings = await readSettings();
-    const client = new MongoClient(settings.mongoUri);
+async function getActiveEmployees() {
+    const db = await getDb();
+
+    const employees = [];
+    const cursor = db.collection("employees").find({ active: { $ne: false } });
+
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
+    }
+
+    return employees;
+}
+
+/**
+ * Build the MongoDB filter for the active employee search: a
+ * case-insensitive match on name, or a match anywhere in the phone number.
+ *
+ * @param {string} search - "" for every active employee
+ * @returns {Object}
+ */
+function buildEmployeeSearchQuery(search) {
+    const query = { active: { $ne: false } };
+
+    if (search) {
+        // Escape regex special characters so the text is matched literally
+        const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+        query.$or = [
+            { name: { $regex: escaped, $options: "i" } },
+            { phone: { $regex: escaped } }
+        ];
+    }
+
+    return query;
+}
+
+/**
+ * Return one page of active employees matching the search, sorted by name.
+ *
+ * @param {string} search
+ * @param {number} direction - 1 for A-Z, -1 for Z-A
+ * @param {number} skip
+ * @param {number} limit
+ * @returns {Promise<Array<Object>>}
+ */
+async function findEmployeesPage(search, direction, skip, limit) {
+    const db = await getDb();
+
+    const employees = [];
+    const cursor = db.collection("employees")
+        .find(buildEmployeeSearchQuery(search))
+        .collation({ locale: "en", strength: 2 })
+        .sort({ name: direction, _id: direction })
+        .skip(skip)
+        .limit(limit);
+
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
+    }
+
+    return employees;
+}
+
+/**
+ * Count active employees matching the search.
+ *
+ * @param {string} search
+ * @returns {Promise<number>}
+ */
+async function countEmployees(search) {
+    const db = await getDb();
+
+    return await db.collection("employees").countDocuments(buildEmployeeSearchQuery(search));
+}
+
+/**
+ * Date and times of every shift of the given employees, grouped per employee.
+ *
+ * @param {Array<import("mongodb").ObjectId>} empIds
+ * @returns {Promise<Array<{_id: import("mongodb").ObjectId, shifts: Array<Object>}>>}
+ */
+async function getShiftTimesByEmployee(empIds) {
+    const db = await getDb();
+
+    const groups = [];
+    const cursor = db.collection("shifts").aggregate([
+        { $match: { employees: { $in: empIds } } },
+        { $project: { employees: 1, date: 1, startTime: 1, endTime: 1 } },
+        { $unwind: "$employees" },
+        { $match: { employees: { $in: empIds } } },
+        {
+            $group: {
+                _id: "$employees",
+                shifts: { $push: { date: "$date", startTime: "$startTime", endTime: "$endTime" } }
+            }
+        }
+    ]);
+
+    while (await cursor.hasNext()) {
+        groups.push(await cursor.next());
+    }
+
+    return groups;
+}
+
+/**
+ * Return employees that have been deactivated.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getInactiveEmployees() {
+    const db = await getDb();
+
+    const employees = [];
+    const cursor = db.collection("employees").find({ active: false });
+
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
+    }
+
+    return employees;
+}
+
+/**
+ * Insert a new active employee.
+ *
+ * @param {{name: string, phone: string, calendarToken: string}} emp
+ * @returns {Promise<string>} The new employee _id as a string.
+ */
+async function addEmployee(emp) {
+    const db = await getDb();
 
-    try {
-        await client.connect();
-        const db = client.db(DB_NAME);
+    const result = await db.collection("employees").insertOne({
+        name: emp.name,
+        phone: emp.phone,
+        active: true,
+        calendarToken: emp.calendarToken
+    });
 
-        const employees = [];
-        const cursor = db.collection("employees").find({});
+    return String(result.insertedId);
+}
+
+/**
+ * Set the active flag of an employee. Shifts are not touched, so
+ * a deactivated employee keeps their shift history.
+ *
+ * @param {string} empId
+ * @param {boolean} active
+ * @returns {Promise<void>}
+ */
+async function setEmployeeActive(empId, active) {
+    const db = await getDb();
+
+    await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { active: active } }
+    );
+}
+
+/**
+ * Store the secret token used for the employee's calendar feed.
+ *
+ * @param {string} empId
+ * @param {string} token
+ * @returns {Promise<void>}
+ */
+async function setCalendarToken(empId, token) {
+    const db = await getDb();
+
+    await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { calendarToken: token } }
+    );
+}
+
+/**
+ * Replace the weekly availability windows of an employee.
+ *
+ * @param {string} empId
+ * @param {Array<{day: number, startTime: string, endTime: string}>} availability
+ * @returns {Promise<void>}
+ */
+async function setAvailability(empId, availability) {
+    const db = await getDb();
+
+    await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: { availability: availability } }
+    );
+}
+
+/**
+ * Add a time-off request to the embedded timeOff array of an employee.
+ *
+ * @param {string} empId
+ * @param {{startDate: string, endDate: string, reason: string, requestedBy: string}} request
+ * @returns {Promise<void>}
+ */
+async function addTimeOffRequest(empId, request) {
+    const db = await getDb();
+
+    await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        {
+            $push: {
+                timeOff: {
+                    _id: new ObjectId(),
+                    startDate: request.startDate,
+                    endDate: request.endDate,
+                    reason: request.reason,
+                    status: "pending",
+                    requestedBy: request.requestedBy,
+                    requestedAt: new Date()
+                }
+            }
+        }
+    );
+}
+
+/**
+ * Approve or reject a pending time-off request.
+ *
+ * @param {string} empId
+ * @param {string} requestId
+ * @param {string} status - "approved" or "rejected"
+ * @param {string} decidedBy - username of the manager
+ * @returns {Promise<boolean>} true if a pending request was updated.
+ */
+async function setTimeOffStatus(empId, requestId, status, decidedBy) {
+    const db = await getDb();
 
-        while (await cursor.hasNext()) {
-            employees.push(await cursor.next());
+    const result = await db.collection("employees").updateOne(
+        {
+            _id: new ObjectId(empId),
+            timeOff: { $elemMatch: { _id: new ObjectId(requestId), status: "pending" } }
+        },
+        {
+            $set: {
+                "timeOff.$.status": status,
+                "timeOff.$.decidedBy": decidedBy,
+                "timeOff.$.decidedAt": new Date()
+            }
         }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Return employees that have at least one pending time-off request.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEmployeesWithPendingTimeOff() {
+    const db = await getDb();
 
-        return employees;
-    } finally {
-        await client.close();
+    const employees = [];
+    const cursor = db.collection("employees").find({ "timeOff.status": "pending" });
+
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
     }
+
+    return employees;
 }
 
 /**
@@ -56,21 +312,17 @@ async function getAllEmployees() {
  * @returns {Promise<Object|undefined>}
  */
 async function findEmployee(empId) {
-    const settings = await readSettings();
-    const client = new MongoClient(settings.mongoUri);
+    if (!isValidId(empId)) {
+        return undefined;
+    }
 
-    try {
-        await client.connect();
-        const db = client.db(DB_NAME);
+    const db = await getDb();
 
-        const employee = await db.collection("employees").findOne({
-            _id: new ObjectId(empId)
-        });
+    const employee = await db.collection("employees").findOne({
+        _id: new ObjectId(empId)
+    });
 
-        return employee || undefined;
-    } finally {
-        await client.close();
-    }
+    return employee || undefined;
 }
 
 /**
@@ -80,56 +332,1075 @@ async function findEmployee(empId) {
  * @returns {Promise<Array<Object>>}
  */
 async function getEmployeeShifts(empId) {
-    const settings = await readSettings();
-    const client = new MongoClient(settings.mongoUri);
+    if (!isValidId(empId)) {
+        return [];
+    }
 
-    try {
-        await client.connect();
-        const db = client.db(DB_NAME);
+    const db = await getDb();
 
-        const shifts = [];
-        const cursor = db.collection("shifts").find({
-            employees: new ObjectId(empId)
-        });
+    const shifts = [];
+    const cursor = db.collection("shifts").find({
+        employees: new ObjectId(empId)
+    });
+
+    while (await cursor.hasNext()) {
+        shifts.push(await cursor.next());
+    }
+
+    return shifts;
+}
+
+/**
+ * Return the full contents of config.json (loaded once at startup).
+ *
+ * @returns {Promise<Object>}
+ */
+async function getConfig() {
+    return getSettings();
+}
+
+/**
+ * Return all shifts.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAllShifts() {
+    const db = await getDb();
+
+    const shifts = [];
+    const cursor = db.collection("shifts").find({});
+
+    while (await cursor.hasNext()) {
+        shifts.push(await cursor.next());
+    }
+
+    return shifts;
+}
+
+/**
+ * Return shifts whose date is between from and to (inclusive),
+ * sorted by date then startTime.
+ *
+ * @param {string} fromDate - "YYYY-MM-DD"
+ * @param {string} toDate - "YYYY-MM-DD"
+ * @returns {Promise<Array<Object>>}
+ */
+async function getShiftsInRange(fromDate, toDate) {
+    const db = await getDb();
+
+    const shifts = [];
+    const cursor = db.collection("shifts")
+        .find({ date: { $gte: fromDate, $lte: toDate } })
+        .sort({ date: 1, startTime: 1 });
+
+    while (await cursor.hasNext()) {
+        shifts.push(await cursor.next());
+    }
+
+    return shifts;
+}
+
+/**
+ * Find one shift by MongoDB _id.
+ *
+ * @param {string} shiftId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findShift(shiftId) {
+    if (!isValidId(shiftId)) {
+        return undefined;
+    }
+
+    const db = await getDb();
+
+    const shift = await db.collection("shifts").findOne({
+        _id: new ObjectId(shiftId)
+    });
+
+    return shift || undefined;
+}
+
+/**
+ * Insert a new shift with an empty employees array.
+ *
+ * @param {{date: string, startTime: string, endTime: string}} shift
+ * @returns {Promise<string>} The new shift _id as a string.
+ */
+async function createShift(shift) {
+    const db = await getDb();
 
-        while (await cursor.hasNext()) {
-            shifts.push(await cursor.next());
+    const result = await db.collection("shifts").insertOne({
+        date: shift.date,
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        requiredHeadcount: shift.requiredHeadcount,
+        requiredPositions: shift.requiredPositions,
+        employees: []
+    });
+
+    return String(result.insertedId);
+}
+
+/**
+ * Update date, times and staffing requirements of a shift.
+ * The employees array is left untouched.
+ *
+ * @param {string} shiftId
+ * @param {{date: string, startTime: string, endTime: string, requiredHeadcount: number, requiredPositions: Array<Object>}} shift
+ * @returns {Promise<void>}
+ */
+async function updateShift(shiftId, shift) {
+    const db = await getDb();
+
+    await db.collection("shifts").updateOne(
+        { _id: new ObjectId(shiftId) },
+        {
+            $set: {
+                date: shift.date,
+                startTime: shift.startTime,
+                endTime: shift.endTime,
+                requiredHeadcount: shift.requiredHeadcount,
+                requiredPositions: shift.requiredPositions
+            }
         }
+    );
+}
+
+/**
+ * Delete a shift by MongoDB _id together with its offers and time punches.
+ * Those go first, so a failure never leaves them pointing at a missing shift.
+ *
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ */
+async function deleteShift(shiftId) {
+    const db = await getDb();
+
+    const id = new ObjectId(shiftId);
+
+    await db.collection("shift_offers").deleteMany({ shiftId: id });
+    await db.collection("time_punches").deleteMany({ shiftId: id });
+    await db.collection("shifts").deleteOne({ _id: id });
+}
+
+/**
+ * Return the employees whose _id is in the given list.
+ *
+ * @param {Array<import("mongodb").ObjectId>} empIds
+ * @returns {Promise<Array<Object>>}
+ */
+async function findEmployeesByIds(empIds) {
+    const db = await getDb();
+
+    const employees = [];
+    const cursor = db.collection("employees").find({ _id: { $in: empIds } });
+
+    while (await cursor.hasNext()) {
+        employees.push(await cursor.next());
+    }
+
+    return employees;
+}
+
+/**
+ * Add an employee ObjectId to the embedded employees array of a shift.
+ * No validation is done here; the business layer is responsible for checks.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<void>}
+ */
+async function addEmployeeToShift(empId, shiftId) {
+    const db = await getDb();
+
+    await db.collection("shifts").updateOne(
+        { _id: new ObjectId(shiftId) },
+        { $addToSet: { employees: new ObjectId(empId) } }
+    );
+}
+
+/**
+ * Add many employees to shifts in one bulk write.
+ *
+ * @param {Array<{shiftId: string, employeeId: string}>} pairs
+ * @returns {Promise<void>}
+ */
+async function addAssignments(pairs) {
+    const db = await getDb();
 
-        return shifts;
-    } finally {
-        await client.close();
+    const operations = [];
+
+    for (let i = 0; i < pairs.length; i++) {
+        operations.push({
+            updateOne: {
+                filter: { _id: new ObjectId(pairs[i].shiftId) },
+                update: { $addToSet: { employees: new ObjectId(pairs[i].employeeId) } }
+            }
+        });
     }
+
+    await db.collection("shifts").bulkWrite(operations);
 }
 
 /**
- * Update employee by MongoDB _id.
+ * Remove an employee ObjectId from the embedded employees array of a shift.
  *
  * @param {string} empId
- * @param {string} name
- * @param {string} phone
+ * @param {string} shiftId
  * @returns {Promise<void>}
  */
-async function updateEmployee(empId, name, phone) {
-    const settings = await readSettings();
-    const client = new MongoClient(settings.mongoUri);
+async function removeEmployeeFromShift(empId, shiftId) {
+    const db = await getDb();
+
+    await db.collection("shifts").updateOne(
+        { _id: new ObjectId(shiftId) },
+        { $pull: { employees: new ObjectId(empId) } }
+    );
+}
+
+/**
+ * Move a shift from one employee to another in a single update, but only
+ * if the first employee is still on the shift.
+ *
+ * @param {string} shiftId
+ * @param {string} fromEmpId
+ * @param {string} toEmpId
+ * @returns {Promise<boolean>} true if the shift was changed.
+ */
+async function transferShift(shiftId, fromEmpId, toEmpId) {
+    const db = await getDb();
+
+    const fromId = new ObjectId(fromEmpId);
+
+    const result = await db.collection("shifts").updateOne(
+        { _id: new ObjectId(shiftId), employees: fromId },
+        [
+            {
+                $set: {
+                    employees: {
+                        $concatArrays: [
+                            { $filter: { input: "$employees", cond: { $ne: ["$$this", fromId] } } },
+                            [new ObjectId(toEmpId)]
+                        ]
+                    }
+                }
+            }
+        ]
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Insert a shift offer. toEmployeeId is null when anyone may take the shift.
+ *
+ * @param {{shiftId: string, fromEmployeeId: string, toEmployeeId: string|null, createdBy: string}} offer
+ * @returns {Promise<string>} The new offer _id.
+ */
+async function insertShiftOffer(offer) {
+    const db = await getDb();
+
+    let toEmployeeId = null;
+
+    if (offer.toEmployeeId) {
+        toEmployeeId = new ObjectId(offer.toEmployeeId);
+    }
+
+    const result = await db.collection("shift_offers").insertOne({
+        shiftId: new ObjectId(offer.shiftId),
+        fromEmployeeId: new ObjectId(offer.fromEmployeeId),
+        toEmployeeId: toEmployeeId,
+        takerId: null,
+        status: "open",
+        createdBy: offer.createdBy,
+        createdAt: new Date()
+    });
+
+    return String(result.insertedId);
+}
+
+/**
+ * Find one shift offer by MongoDB _id.
+ *
+ * @param {string} offerId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findShiftOffer(offerId) {
+    if (!isValidId(offerId)) {
+        return undefined;
+    }
+
+    const db = await getDb();
+
+    const offer = await db.collection("shift_offers").findOne({ _id: new ObjectId(offerId) });
+
+    return offer || undefined;
+}
+
+/**
+ * Open or accepted offers of one shift by one employee.
+ *
+ * @param {string} shiftId
+ * @param {string} fromEmpId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findActiveShiftOffer(shiftId, fromEmpId) {
+    const db = await getDb();
+
+    const offer = await db.collection("shift_offers").findOne({
+        shiftId: new ObjectId(shiftId),
+        fromEmployeeId: new ObjectId(fromEmpId),
+        status: { $in: ["open", "accepted"] }
+    });
+
+    return offer || undefined;
+}
+
+/**
+ * Offers an employee made, was offered, took, or can take because
+ * they are open to anyone. Newest first.
+ *
+ * @param {string} empId
+ * @returns {Promise<Array<Object>>}
+ */
+async function getShiftOffersForEmployee(empId) {
+    const db = await getDb();
+
+    const id = new ObjectId(empId);
 
-    try {
-        await client.connect();
-        const db = client.db(DB_NAME);
+    const offers = [];
+    const cursor = db.collection("shift_offers")
+        .find({
+            $or: [
+                { fromEmployeeId: id },
+                { toEmployeeId: id },
+                { takerId: id },
+                { toEmployeeId: null, status: "open" }
+            ]
+        })
+        .sort({ createdAt: -1 });
 
-        await db.collection("employees").updateOne(
-            { _id: new ObjectId(empId) },
-            { $set: { name: name, phone: phone } }
-        );
-    } finally {
-        await client.close();
+    while (await cursor.hasNext()) {
+        offers.push(await cursor.next());
     }
+
+    return offers;
+}
+
+/**
+ * Shift offers with the given status, oldest first.
+ *
+ * @param {string} status
+ * @returns {Promise<Array<Object>>}
+ */
+async function getShiftOffersByStatus(status) {
+    const db = await getDb();
+
+    const offers = [];
+    const cursor = db.collection("shift_offers").find({ status: status }).sort({ createdAt: 1 });
+
+    while (await cursor.hasNext()) {
+        offers.push(await cursor.next());
+    }
+
+    return offers;
+}
+
+/**
+ * Mark an open offer as accepted by an employee.
+ *
+ * @param {string} offerId
+ * @param {string} takerId
+ * @returns {Promise<boolean>} true if the offer was still open and is now accepted.
+ */
+async function acceptShiftOffer(offerId, takerId) {
+    const db = await getDb();
+
+    const result = await db.collection("shift_offers").updateOne(
+        { _id: new ObjectId(offerId), status: "open" },
+        { $set: { status: "accepted", takerId: new ObjectId(takerId), acceptedAt: new Date() } }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Move an offer from one status to the next. Nothing changes if the offer
+ * is no longer in fromStatus, e.g. when two people accept at the same time.
+ *
+ * @param {string} offerId
+ * @param {string} fromStatus
+ * @param {Object} fields - at least { status }, plus any other fields to set
+ * @returns {Promise<boolean>} true if the offer was updated.
+ */
+async function updateShiftOfferStatus(offerId, fromStatus, fields) {
+    const db = await getDb();
+
+    const result = await db.collection("shift_offers").updateOne(
+        { _id: new ObjectId(offerId), status: fromStatus },
+        { $set: fields }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Find the time punch of an employee on a shift.
+ *
+ * @param {string} empId
+ * @param {string} shiftId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findPunch(empId, shiftId) {
+    if (!isValidId(empId) || !isValidId(shiftId)) {
+        return undefined;
+    }
+
+    const db = await getDb();
+
+    const punch = await db.collection("time_punches").findOne({
+        employeeId: new ObjectId(empId),
+        shiftId: new ObjectId(shiftId)
+    });
+
+    return punch || undefined;
+}
+
+/**
+ * Return the time punches recorded on any of the given shifts.
+ *
+ * @param {Array<import("mongodb").ObjectId>} shiftIds
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPunchesForShifts(shiftIds) {
+    const db = await getDb();
+
+    const punches = [];
+    const cursor = db.collection("time_punches").find({ shiftId: { $in: shiftIds } });
+
+    while (await cursor.hasNext()) {
+        punches.push(await cursor.next());
+    }
+
+    return punches;
+}
+
+/**
+ * Record a clock-in. Managers adding a missing punch pass clockOut and
+ * the first correction as well.
+ *
+ * @param {{employeeId: string, shiftId: string, clockIn: Date, clockOut: Date|null, corrections: Array<Object>}} punch
+ * @returns {Promise<string>} The new punch _id.
+ */
+async function insertPunch(punch) {
+    const db = await getDb();
+
+    const result = await db.collection("time_punches").insertOne({
+        employeeId: new ObjectId(punch.employeeId),
+        shiftId: new ObjectId(punch.shiftId),
+        clockIn: punch.clockIn,
+        clockOut: punch.clockOut,
+        corrections: punch.corrections
+    });
+
+    return String(result.insertedId);
+}
+
+/**
+ * Record a clock-out on a punch that does not have one yet.
+ *
+ * @param {string} punchId
+ * @param {Date} clockOut
+ * @returns {Promise<boolean>} true if the punch was still open.
+ */
+async function setClockOut(punchId, clockOut) {
+    const db = await getDb();
+
+    const result = await db.collection("time_punches").updateOne(
+        { _id: new ObjectId(punchId), clockOut: null },
+        { $set: { clockOut: clockOut } }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Overwrite the times of a punch and append the correction to its history.
+ *
+ * @param {string} punchId
+ * @param {Date} clockIn
+ * @param {Date|null} clockOut
+ * @param {{by: string, at: Date, reason: string, before: Object, after: Object}} correction
+ * @returns {Promise<void>}
+ */
+async function correctPunch(punchId, clockIn, clockOut, correction) {
+    const db = await getDb();
+
+    await db.collection("time_punches").updateOne(
+        { _id: new ObjectId(punchId) },
+        {
+            $set: { clockIn: clockIn, clockOut: clockOut },
+            $push: { corrections: correction }
+        }
+    );
+}
+
+/**
+ * Update employee by MongoDB _id in a single write.
+ *
+ * @param {string} empId
+ * @param {{name: string, phone: string, positions: Array<string>, hourlyRate: number|null}} fields
+ *   name and phone, plus positions and hourlyRate when they are being changed
+ * @returns {Promise<void>}
+ */
+async function updateEmployee(empId, fields) {
+    const db = await getDb();
+
+    await db.collection("employees").updateOne(
+        { _id: new ObjectId(empId) },
+        { $set: fields }
+    );
+}
+
+/**
+ * Point an employee at a new photo file, or remove the photo with null.
+ *
+ * @param {string} empId
+ * @param {string|null} filename
+ * @returns {Promise<string|undefined>} The previous photoFilename ("" if there was none),
+ *   or undefined if the employee does not exist.
+ */
+async function setEmployeePhoto(empId, filename) {
+    const db = await getDb();
+
+    let update = { $set: { photoFilename: filename } };
+
+    if (filename === null) {
+        update = { $unset: { photoFilename: "" } };
+    }
+
+    const previous = await db.collection("employees").findOneAndUpdate(
+        { _id: new ObjectId(empId) },
+        update,
+        { returnDocument: "before", projection: { photoFilename: 1 } }
+    );
+
+    if (!previous) {
+        return undefined;
+    }
+
+    return previous.photoFilename || "";
+}
+
+/**
+ * Return all users sorted by username.
+ *
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAllUsers() {
+    const db = await getDb();
+
+    const users = [];
+    const cursor = db.collection("users").find({}).sort({ username: 1 });
+
+    while (await cursor.hasNext()) {
+        users.push(await cursor.next());
+    }
+
+    return users;
+}
+
+/**
+ * Find one user by MongoDB _id.
+ *
+ * @param {string} userId
+ * @returns {Promise<Object|undefined>}
+ */
+async function findUser(userId) {
+    if (!isValidId(userId)) {
+        return undefined;
+    }
+
+    const db = await getDb();
+
+    const user = await db.collection("users").findOne({ _id: new ObjectId(userId) });
+
+    return user || undefined;
+}
+
+/**
+ * Find one user by username.
+ *
+ * @param {string} username
+ * @returns {Promise<Object|undefined>}
+ */
+async function findUserByUsername(username) {
+    const db = await getDb();
+
+    const user = await db.collection("users").findOne({ username: username });
+
+    return user || undefined;
+}
+
+/**
+ * Insert a new user. The password must already be a bcrypt hash.
+ *
+ * @param {{username: string, password: string, role: string, employeeId: import("mongodb").ObjectId|null}} user
+ * @returns {Promise<string>} The new user _id as a string.
+ */
+async function createUser(user) {
+    const db = await getDb();
+
+    const result = await db.collection("users").insertOne({
+        username: user.username,
+        password: user.password,
+        role: user.role,
+        employeeId: user.employeeId,
+        disabled: false
+    });
+
+    return String(result.insertedId);
+}
+
+/**
+ * Replace the password hash of a user and clear any login lockout.
+ *
+ * @param {string} userId
+ * @param {string} passwordHash
+ * @returns {Promise<void>}
+ */
+async function updateUserPassword(userId, passwordHash) {
+    const db = await getDb();
+
+    await db.collection("users").updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { password: passwordHash, failedLogins: 0 }, $unset: { lockedUntil: "" } }
+    );
+}
+
+/**
+ * Set the disabled flag of a user.
+ *
+ * @param {string} userId
+ * @param {boolean} disabled
+ * @returns {Promise<void>}
+ */
+async function setUserDisabled(userId, disabled) {
+    const db = await getDb();
+
+    await db.collection("users").updateOne(
+        { _id: new ObjectId(userId) },
+        { $set: { disabled: disabled } }
+    );
+}
+
+/**
+ * Count one failed login for a user. Failures from before windowStart
+ * no longer count: the counter starts again at 1 with a new window.
+ * Done in one pipeline update so parallel attempts cannot lose a count.
+ *
+ * @param {string} username
+ * @param {Date} windowStart - failures older than this are forgotten
+ * @returns {Promise<Object|null>} The user after the update, null if there is no such user.
+ */
+async function incrementLoginFailures(username, windowStart) {
+    const db = await getDb();
+
+    const inWindow = { $gte: ["$failedLoginsSince", windowStart] };
+
+    return await db.collection("users").findOneAndUpdate(
+        { username: username },
+        [
+            {
+                $set: {
+                    failedLogins: {
+                        $cond: [inWindow, { $add: [{ $ifNull: ["$failedLogins", 0] }, 1] }, 1]
+                    },
+                    failedLoginsSince: { $cond: [inWindow, "$failedLoginsSince", "$$NOW"] }
+                }
+            }
+        ],
+        { returnDocument: "after" }
+    );
+}
+
+/**
+ * Lock a user account and reset its failed login counter.
+ *
+ * @param {string} username
+ * @param {Date} lockedUntil
+ * @returns {Promise<void>}
+ */
+async function lockUser(username, lockedUntil) {
+    const db = await getDb();
+
+    await db.collection("users").updateOne(
+        { username: username },
+        {
+            $set: { failedLogins: 0, lockedUntil: lockedUntil },
+            $unset: { failedLoginsSince: "" }
+        }
+    );
+}
+
+/**
+ * Reset the failed login counter and lock of a user.
+ *
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(username) {
+    const db = await getDb();
+
+    await db.collection("users").updateOne(
+        { username: username },
+        {
+            $set: { failedLogins: 0 },
+            $unset: { lockedUntil: "", failedLoginsSince: "" }
+        }
+    );
+}
+
+/**
+ * Insert an API token. Only the SHA-256 hash of the token is stored.
+ *
+ * @param {{tokenHash: string, username: string, label: string}} token
+ * @returns {Promise<string>} The new token _id as a string.
+ */
+async function insertApiToken(token) {
+    const db = await getDb();
+
+    const result = await db.collection("api_tokens").insertOne({
+        tokenHash: token.tokenHash,
+        username: token.username,
+        label: token.label,
+        createdAt: new Date(),
+        lastUsedAt: null,
+        revoked: false
+    });
+
+    return String(result.insertedId);
+}
+
+/**
+ * Find a non-revoked API token by its hash.
+ *
+ * @param {string} tokenHash
+ * @returns {Promise<Object|undefined>}
+ */
+async function findApiTokenByHash(tokenHash) {
+    const db = await getDb();
+
+    const token = await db.collection("api_tokens").findOne({ tokenHash: tokenHash, revoked: false });
+
+    return token || undefined;
+}
+
+/**
+ * Return the non-revoked API tokens of a user, newest first.
+ *
+ * @param {string} username
+ * @returns {Promise<Array<Object>>}
+ */
+async function getApiTokensForUser(username) {
+    const db = await getDb();
+
+    const tokens = [];
+    const cursor = db.collection("api_tokens")
+        .find({ username: username, revoked: false })
+        .sort({ createdAt: -1 });
+
+    while (await cursor.hasNext()) {
+        tokens.push(await cursor.next());
+    }
+
+    return tokens;
+}
+
+/**
+ * Revoke one API token of a user.
+ *
+ * @param {string} tokenId
+ * @param {string} username
+ * @returns {Promise<boolean>} true if a token was revoked.
+ */
+async function revokeApiToken(tokenId, username) {
+    const db = await getDb();
+
+    const result = await db.collection("api_tokens").updateOne(
+        { _id: new ObjectId(tokenId), username: username, revoked: false },
+        { $set: { revoked: true } }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+/**
+ * Record when an API token was last used.
+ *
+ * @param {import("mongodb").ObjectId} tokenId
+ * @returns {Promise<void>}
+ */
+async function touchApiToken(tokenId) {
+    const db = await getDb();
+
+    await db.collection("api_tokens").updateOne(
+        { _id: tokenId },
+        { $set: { lastUsedAt: new Date() } }
+    );
+}
+
+/**
+ * Insert one security_log entry.
+ *
+ * @param {Object} entry
+ * @returns {Promise<void>}
+ */
+async function insertSecurityLog(entry) {
+    const db = await getDb();
+
+    await db.collection("security_log").insertOne(entry);
+}
+
+/**
+ * Build the MongoDB query for security_log filters.
+ *
+ * @param {{username: string, urlPrefix: string, method: string, from: Date|null, to: Date|null}} filters
+ * @returns {Object}
+ */
+function buildSecurityLogQuery(filters) {
+    const query = {};
+
+    if (filters.username) {
+        query.username = filters.username;
+    }
+
+    if (filters.urlPrefix) {
+        // Escape regex special characters so the prefix is matched literally
+        const escaped = filters.urlPrefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        query.url = { $regex: "^" + escaped };
+    }
+
+    if (filters.method) {
+        query.method = filters.method;
+    }
+
+    if (filters.from || filters.to) {
+        query.timestamp = {};
+
+        if (filters.from) {
+            query.timestamp.$gte = filters.from;
+        }
+
+        if (filters.to) {
+            query.timestamp.$lt = filters.to;
+        }
+    }
+
+    return query;
+}
+
+/**
+ * Return security_log entries matching the filters, newest first.
+ *
+ * @param {Object} filters - see buildSecurityLogQuery
+ * @param {number} skip
+ * @param {number} limit - 0 for no limit
+ * @returns {Promise<Array<Object>>}
+ */
+async function findSecurityLog(filters, skip, limit) {
+    const db = await getDb();
+
+    const entries = [];
+    const cursor = db.collection("security_log")
+        .find(buildSecurityLogQuery(filters))
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    while (await cursor.hasNext()) {
+        entries.push(await cursor.next());
+    }
+
+    return entries;
+}
+
+/**
+ * Count security_log entries matching the filters.
+ *
+ * @param {Object} filters - see buildSecurityLogQuery
+ * @returns {Promise<number>}
+ */
+async function countSecurityLog(filters) {
+    const db = await getDb();
+
+    return await db.collection("security_log").countDocuments(buildSecurityLogQuery(filters));
+}
+
+/**
+ * Create the TTL index on sessions.expiresAt so MongoDB removes
+ * expired sessions by itself.
+ *
+ * @returns {Promise<void>}
+ */
+async function ensureSessionIndexes() {
+    const db = await getDb();
+
+    await db.collection("sessions").createIndex(
+        { expiresAt: 1 },
+        { expireAfterSeconds: 0 }
+    );
+    await db.collection("sessions").createIndex({ sessionId: 1 }, { unique: true });
+}
+
+/**
+ * Insert a session document.
+ *
+ * @param {{sessionId: string, username: string, role: string, employeeId: string, expiresAt: Date}} session
+ * @returns {Promise<void>}
+ */
+async function insertSession(session) {
+    const db = await getDb();
+
+    await db.collection("sessions").insertOne(session);
+}
+
+/**
+ * Find a session document by sessionId.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>}
+ */
+async function findSession(sessionId) {
+    const db = await getDb();
+
+    return await db.collection("sessions").findOne({ sessionId: sessionId });
+}
+
+/**
+ * Move the expiry time of a session.
+ *
+ * @param {string} sessionId
+ * @param {Date} expiresAt
+ * @returns {Promise<void>}
+ */
+async function updateSessionExpiry(sessionId, expiresAt) {
+    const db = await getDb();
+
+    await db.collection("sessions").updateOne(
+        { sessionId: sessionId },
+        { $set: { expiresAt: expiresAt } }
+    );
+}
+
+/**
+ * Delete a session document.
+ *
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function deleteSession(sessionId) {
+    const db = await getDb();
+
+    await db.collection("sessions").deleteOne({ sessionId: sessionId });
+}
+
+/**
+ * Delete every session of one user, optionally keeping one.
+ *
+ * @param {string} username
+ * @param {string} [exceptSessionId] - session to keep, e.g. the one changing the password
+ * @returns {Promise<void>}
+ */
+async function deleteSessionsForUser(username, exceptSessionId) {
+    const db = await getDb();
+
+    const filter = { username: username };
+
+    if (typeof exceptSessionId === "string") {
+        filter.sessionId = { $ne: exceptSessionId };
+    }
+
+    await db.collection("sessions").deleteMany(filter);
+}
+
+/**
+ * Delete every session that expired before the given time.
+ *
+ * @param {Date} now
+ * @returns {Promise<number>} Number of deleted sessions.
+ */
+async function deleteExpiredSessions(now) {
+    const db = await getDb();
+
+    const result = await db.collection("sessions").deleteMany({ expiresAt: { $lt: now } });
+    return result.deletedCount;
 }
 
 module.exports = {
     getAllEmployees,
+    getActiveEmployees,
+    findEmployeesPage,
+    countEmployees,
+    getShiftTimesByEmployee,
+    getInactiveEmployees,
+    addEmployee,
+    setEmployeeActive,
+    setCalendarToken,
+    setAvailability,
+    addTimeOffRequest,
+    setTimeOffStatus,
+    getEmployeesWithPendingTimeOff,
     findEmployee,
     getEmployeeShifts,
-    updateEmployee
+    updateEmployee,
+    setEmployeePhoto,
+    getConfig,
+    getAllShifts,
+    getShiftsInRange,
+    findShift,
+    addEmployeeToShift,
+    addAssignments,
+    transferShift,
+    insertShiftOffer,
+    findShiftOffer,
+    findActiveShiftOffer,
+    getShiftOffersForEmployee,
+    getShiftOffersByStatus,
+    acceptShiftOffer,
+    updateShiftOfferStatus,
+    findPunch,
+    getPunchesForShifts,
+    insertPunch,
+    setClockOut,
+    correctPunch,
+    removeEmployeeFromShift,
+    createShift,
+    updateShift,
+    deleteShift,
+    findEmployeesByIds,
+    getAllUsers,
+    findUser,
+    findUserByUsername,
+    createUser,
+    updateUserPassword,
+    setUserDisabled,
+    incrementLoginFailures,
+    lockUser,
+    clearLoginFailures,
+    insertApiToken,
+    findApiTokenByHash,
+    getApiTokensForUser,
+    revokeApiToken,
+    touchApiToken,
+    insertSecurityLog,
+    findSecurityLog,
+    countSecurityLog,
+    ensureSessionIndexes,
+    insertSession,
+    findSession,
+    updateSessionExpiry,
+    deleteSession,
+    deleteSessionsForUser,
+    deleteExpiredSessions
 };
\ No newline at end of file
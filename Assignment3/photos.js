@@ -0,0 +1,316 @@
+"use strict";
+
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const sharp = require("sharp");
+const business = require("./business");
+const { ValidationError } = require("./errors");
+
+const PHOTO_FOLDER = path.join(__dirname, "employee_photos");
+const THUMBNAIL_FOLDER = path.join(PHOTO_FOLDER, "thumbnails");
+const MAX_PHOTO_BYTES = 2 * 1024 * 1024;
+const THUMBNAIL_SIZES = [64, 200];
+const AVATAR_COLORS = ["#1f77b4", "#2ca02c", "#d62728", "#9467bd", "#8c564b", "#e377c2", "#17becf", "#bcbd22"];
+
+// Thumbnails being generated right now: path -> promise, so two requests
+// for the same thumbnail do not both resize the original
+const pendingThumbnails = {};
+
+/**
+ * Work out the image type from the first bytes of the file, so a renamed
+ * file or a wrong Content-Type cannot sneak anything else in.
+ *
+ * @param {Buffer} data
+ * @returns {string} ".jpg", ".png" or "" if the data is neither.
+ */
+function detectImageType(data) {
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return ".jpg";
+  }
+
+  const pngSignature = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+  if (data.length < pngSignature.length) {
+    return "";
+  }
+
+  for (let i = 0; i < pngSignature.length; i++) {
+    if (data[i] !== pngSignature[i]) {
+      return "";
+    }
+  }
+
+  return ".png";
+}
+
+/**
+ * Full path of an employee's photo file, or "" if they have none.
+ * Only the base name of photoFilename is used, so it cannot point
+ * outside PHOTO_FOLDER.
+ *
+ * @param {Object} employee
+ * @returns {string}
+ */
+function getPhotoPath(employee) {
+  if (typeof employee.photoFilename !== "string" || employee.photoFilename.trim().length === 0) {
+    return "";
+  }
+
+  return path.join(PHOTO_FOLDER, path.basename(employee.photoFilename));
+}
+
+/**
+ * Path of the cached thumbnail of a photo file, e.g. "ab12.jpg" at 64
+ * pixels is "thumbnails/ab12_64.jpg".
+ *
+ * @param {string} filename - base name of the original photo
+ * @param {number} size
+ * @returns {string}
+ */
+function getThumbnailPath(filename, size) {
+  const extension = path.extname(filename);
+
+  return path.join(THUMBNAIL_FOLDER, path.basename(filename, extension) + "_" + size + extension);
+}
+
+/**
+ * Delete a file, ignoring files that are already gone.
+ *
+ * @param {string} fullPath
+ * @returns {Promise<void>}
+ */
+async function unlinkIfExists(fullPath) {
+  try {
+    await fs.unlink(fullPath);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+}
+
+/**
+ * Delete a file in PHOTO_FOLDER together with its cached thumbnails.
+ *
+ * @param {string} filename
+ * @returns {Promise<void>}
+ */
+async function removePhotoFile(filename) {
+  const safeFilename = path.basename(filename);
+
+  for (let i = 0; i < THUMBNAIL_SIZES.length; i++) {
+    await unlinkIfExists(getThumbnailPath(safeFilename, THUMBNAIL_SIZES[i]));
+  }
+
+  await unlinkIfExists(path.join(PHOTO_FOLDER, safeFilename));
+}
+
+/**
+ * File modification time, or null if the file does not exist.
+ *
+ * @param {string} fullPath
+ * @returns {Promise<Date|null>}
+ */
+async function getModifiedTime(fullPath) {
+  try {
+    return (await fs.stat(fullPath)).mtime;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+
+    throw err;
+  }
+}
+
+/**
+ * Resize a photo to a square thumbnail and write it to the cache. The
+ * file is written under a temporary name first so a request can never
+ * read a half-written thumbnail.
+ *
+ * @param {string} originalPath
+ * @param {string} thumbnailPath
+ * @param {number} size
+ * @returns {Promise<void>}
+ */
+async function createThumbnail(originalPath, thumbnailPath, size) {
+  const tempPath = thumbnailPath + "." + crypto.randomBytes(4).toString("hex") + ".tmp";
+
+  await fs.mkdir(THUMBNAIL_FOLDER, { recursive: true });
+
+  try {
+    // rotate() applies the EXIF orientation of phone photos
+    await sharp(originalPath).rotate().resize(size, size, { fit: "cover" }).toFile(tempPath);
+    await fs.rename(tempPath, thumbnailPath);
+  } catch (err) {
+    await unlinkIfExists(tempPath);
+    throw err;
+  }
+}
+
+/**
+ * File to send for an employee's photo: the original when size is 0,
+ * otherwise a thumbnail from THUMBNAIL_SIZES. Thumbnails are created on
+ * first use and again whenever the original is newer than the cached copy.
+ *
+ * @param {Object} employee
+ * @param {number} size - 0 for the original
+ * @returns {Promise<string>} Full path, or "" if the employee has no photo file.
+ */
+async function getPhotoFile(employee, size) {
+  const originalPath = getPhotoPath(employee);
+
+  if (!originalPath) {
+    return "";
+  }
+
+  const originalTime = await getModifiedTime(originalPath);
+
+  if (!originalTime) {
+    return "";
+  }
+
+  if (!size) {
+    return originalPath;
+  }
+
+  const thumbnailPath = getThumbnailPath(path.basename(originalPath), size);
+  const thumbnailTime = await getModifiedTime(thumbnailPath);
+
+  if (thumbnailTime && thumbnailTime >= originalTime) {
+    return thumbnailPath;
+  }
+
+  if (!pendingThumbnails[thumbnailPath]) {
+    pendingThumbnails[thumbnailPath] = createThumbnail(originalPath, thumbnailPath, size).finally(function () {
+      delete pendingThumbnails[thumbnailPath];
+    });
+  }
+
+  await pendingThumbnails[thumbnailPath];
+  return thumbnailPath;
+}
+
+/**
+ * Up to two initials of a name, e.g. "Alex Morgan" -> "AM".
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function getInitials(name) {
+  const words = String(name || "").trim().split(/\s+/);
+  let initials = "";
+
+  for (let i = 0; i < words.length && initials.length < 2; i++) {
+    if (words[i].length > 0) {
+      initials += words[i][0].toUpperCase();
+    }
+  }
+
+  return initials || "?";
+}
+
+/**
+ * Escape text for use inside SVG markup.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * SVG avatar with the employee's initials, shown when there is no photo.
+ * The background colour is picked from the name so it stays the same.
+ *
+ * @param {string} name
+ * @param {number} size - width and height in pixels
+ * @returns {string}
+ */
+function buildInitialsAvatar(name, size) {
+  const hash = crypto.createHash("sha256").update(String(name || "")).digest();
+  const color = AVATAR_COLORS[hash[0] % AVATAR_COLORS.length];
+  const fontSize = Math.round(size * 0.4);
+
+  return "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + size + "\" height=\"" + size +
+    "\" viewBox=\"0 0 " + size + " " + size + "\">" +
+    "<rect width=\"100%\" height=\"100%\" fill=\"" + color + "\"/>" +
+    "<text x=\"50%\" y=\"50%\" dy=\".35em\" text-anchor=\"middle\" fill=\"#ffffff\" " +
+    "font-family=\"Arial, sans-serif\" font-size=\"" + fontSize + "\">" + escapeXml(getInitials(name)) + "</text>" +
+    "</svg>";
+}
+
+/**
+ * Store an uploaded photo under a generated filename and point the
+ * employee at it. The previous photo file is removed afterwards.
+ *
+ * @param {string} empId
+ * @param {Buffer} data - uploaded file contents
+ * @returns {Promise<void>}
+ * @throws {ValidationError|NotFoundError}
+ */
+async function savePhoto(empId, data) {
+  if (data.length === 0) {
+    throw new ValidationError("Please choose a photo to upload");
+  }
+
+  if (data.length > MAX_PHOTO_BYTES) {
+    throw new ValidationError("Photo must be at most " + (MAX_PHOTO_BYTES / 1024 / 1024) + " MB");
+  }
+
+  const extension = detectImageType(data);
+
+  if (!extension) {
+    throw new ValidationError("Photo must be a JPEG or PNG image");
+  }
+
+  const filename = crypto.randomBytes(16).toString("hex") + extension;
+
+  await fs.mkdir(PHOTO_FOLDER, { recursive: true });
+  await fs.writeFile(path.join(PHOTO_FOLDER, filename), data, { flag: "wx" });
+
+  let previous;
+
+  try {
+    previous = await business.setEmployeePhoto(empId, filename);
+  } catch (err) {
+    await removePhotoFile(filename);
+    throw err;
+  }
+
+  if (previous) {
+    await removePhotoFile(previous);
+  }
+}
+
+/**
+ * Remove an employee's photo and its file.
+ *
+ * @param {string} empId
+ * @returns {Promise<void>}
+ * @throws {NotFoundError|ConflictError}
+ */
+async function deletePhoto(empId) {
+  const previous = await business.clearEmployeePhoto(empId);
+
+  await removePhotoFile(previous);
+}
+
+module.exports = {
+  PHOTO_FOLDER,
+  MAX_PHOTO_BYTES,
+  THUMBNAIL_SIZES,
+  detectImageType,
+  getPhotoPath,
+  getPhotoFile,
+  buildInitialsAvatar,
+  savePhoto,
+  deletePhoto
+};
\ No newline at end of file
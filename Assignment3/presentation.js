@@ -2,6 +2,7 @@
 
 const prompt = require("prompt-sync")();
 const business = require("./business");
+const { DomainError } = require("./errors");
 
 /**
  * Print all employees in a fixed-width table format.
@@ -29,7 +30,17 @@ async function createEmployeeUI() {
   const name = prompt("Enter employee name: ");
   const phone = prompt("Enter phone number: ");
 
-  await business.addEmployee({ name: name, phone: phone });
+  try {
+    await business.addEmployee({ name: name, phone: phone });
+  } catch (err) {
+    if (!(err instanceof DomainError)) {
+      throw err;
+    }
+
+    console.log("Employee not added: " + err.message);
+    return;
+  }
+
   console.log("Employee added...");
 }
 
@@ -40,7 +51,18 @@ async function createEmployeeUI() {
  */
 async function printEmployeeSchedule() {
   const empId = prompt("Enter employee ID: ");
-  const details = await business.getScheduleForEmployee(empId);
+  let details;
+
+  try {
+    details = await business.getScheduleForEmployee(empId);
+  } catch (err) {
+    if (!(err instanceof DomainError)) {
+      throw err;
+    }
+
+    console.log(err.message);
+    return;
+  }
 
   console.log("");
   console.log("date,start,end");
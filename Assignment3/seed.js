@@ -1,9 +1,7 @@
 "use strict";
 
-const { MongoClient } = require("mongodb");
 const fs = require("fs/promises");
-
-const DB_NAME = "infs3201_winter2026";
+const { getDb, closeDb } = require("./db");
 
 async function upsertManyByKey(col, docs, keyField) {
   for (let i = 0; i < docs.length; i++) {
@@ -24,13 +22,7 @@ async function upsertManyByKey(col, docs, keyField) {
 }
 
 async function seed() {
-  const configText = await fs.readFile("config.json", "utf8");
-  const config = JSON.parse(configText);
-
-  const client = new MongoClient(config.mongoUri);
-  await client.connect();
-
-  const db = client.db(DB_NAME);
+  const db = await getDb();
 
   const employees = JSON.parse(await fs.readFile("employees.json", "utf8"));
   const shifts = JSON.parse(await fs.readFile("shifts.json", "utf8"));
@@ -54,7 +46,7 @@ async function seed() {
   }
 
   console.log("Data imported (upsert) successfully");
-  await client.close();
+  await closeDb();
 }
 
 seed().catch((err) => {
@@ -0,0 +1,191 @@
+"use strict";
+
+const crypto = require("crypto");
+const persistence = require("./persistence");
+
+/**
+ * Generate a random session ID or CSRF token.
+ *
+ * @returns {string}
+ */
+function newToken() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * In-memory session store. Sessions are lost on restart and are not
+ * shared between processes, so this is meant for tests and local runs.
+ *
+ * @param {number} durationMs - How long a session lives without activity.
+ * @returns {Object} Store with createSession/getSession/extendSession/deleteSession/deleteSessionsForUser/sweepExpired.
+ */
+function createMemoryStore(durationMs) {
+  const sessions = {};
+
+  return {
+    init: async function () {},
+
+    createSession: async function (data) {
+      const sessionId = newToken();
+
+      sessions[sessionId] = {
+        username: data.username,
+        role: data.role,
+        employeeId: data.employeeId,
+        csrfToken: newToken(),
+        expiresAt: new Date(Date.now() + durationMs)
+      };
+
+      return sessionId;
+    },
+
+    getSession: async function (sessionId) {
+      if (typeof sessionId !== "string") {
+        return null;
+      }
+
+      const session = sessions[sessionId];
+
+      if (!session) {
+        return null;
+      }
+
+      if (Date.now() > session.expiresAt.getTime()) {
+        delete sessions[sessionId];
+        return null;
+      }
+
+      return session;
+    },
+
+    extendSession: async function (sessionId) {
+      if (sessions[sessionId]) {
+        sessions[sessionId].expiresAt = new Date(Date.now() + durationMs);
+      }
+    },
+
+    deleteSession: async function (sessionId) {
+      if (sessions[sessionId]) {
+        delete sessions[sessionId];
+      }
+    },
+
+    deleteSessionsForUser: async function (username, exceptSessionId) {
+      const ids = Object.keys(sessions);
+
+      for (let i = 0; i < ids.length; i++) {
+        if (sessions[ids[i]].username === username && ids[i] !== exceptSessionId) {
+          delete sessions[ids[i]];
+        }
+      }
+    },
+
+    sweepExpired: async function () {
+      const now = Date.now();
+      const ids = Object.keys(sessions);
+      let removed = 0;
+
+      for (let i = 0; i < ids.length; i++) {
+        if (now > sessions[ids[i]].expiresAt.getTime()) {
+          delete sessions[ids[i]];
+          removed++;
+        }
+      }
+
+      return removed;
+    }
+  };
+}
+
+/**
+ * MongoDB session store backed by the sessions collection.
+ * A TTL index on expiresAt lets MongoDB remove expired sessions, but the
+ * TTL monitor only runs about once a minute, so getSession still checks expiry.
+ *
+ * @param {number} durationMs - How long a session lives without activity.
+ * @returns {Object} Store with createSession/getSession/extendSession/deleteSession/deleteSessionsForUser/sweepExpired.
+ */
+function createMongoStore(durationMs) {
+  return {
+    init: async function () {
+      await persistence.ensureSessionIndexes();
+    },
+
+    createSession: async function (data) {
+      const sessionId = newToken();
+
+      await persistence.insertSession({
+        sessionId: sessionId,
+        username: data.username,
+        role: data.role,
+        employeeId: data.employeeId,
+        csrfToken: newToken(),
+        expiresAt: new Date(Date.now() + durationMs)
+      });
+
+      return sessionId;
+    },
+
+    getSession: async function (sessionId) {
+      if (typeof sessionId !== "string") {
+        return null;
+      }
+
+      const session = await persistence.findSession(sessionId);
+
+      if (!session) {
+        return null;
+      }
+
+      if (Date.now() > session.expiresAt.getTime()) {
+        await persistence.deleteSession(sessionId);
+        return null;
+      }
+
+      return session;
+    },
+
+    extendSession: async function (sessionId) {
+      await persistence.updateSessionExpiry(sessionId, new Date(Date.now() + durationMs));
+    },
+
+    deleteSession: async function (sessionId) {
+      if (typeof sessionId === "string") {
+        await persistence.deleteSession(sessionId);
+      }
+    },
+
+    deleteSessionsForUser: async function (username, exceptSessionId) {
+      await persistence.deleteSessionsForUser(username, exceptSessionId);
+    },
+
+    sweepExpired: async function () {
+      return await persistence.deleteExpiredSessions(new Date());
+    }
+  };
+}
+
+/**
+ * Run store.sweepExpired every intervalMs. The timer does not keep
+ * the process alive on its own.
+ *
+ * @param {Object} store
+ * @param {number} intervalMs
+ * @returns {NodeJS.Timeout}
+ */
+function startSweeper(store, intervalMs) {
+  const timer = setInterval(function () {
+    store.sweepExpired().catch(function (err) {
+      console.error(err);
+    });
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  startSweeper
+};
\ No newline at end of file
@@ -0,0 +1,123 @@
+"use strict";
+
+// Auto-scheduler (planAssignments), run against the JSON fixtures.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const business = require("../business");
+
+const FIXTURES = path.join(__dirname, "..");
+
+/**
+ * Planner input built from the shifts.json, employees.json and
+ * assignments.json fixtures, with every shift asking for two people so
+ * the planner has to choose between candidates. Built fresh for each run
+ * because planAssignments adds to scheduledById.
+ *
+ * @param {boolean} reversed - hand the shifts and employees over in reverse order
+ * @returns {{shifts: Array<Object>, candidates: Array<Object>, employeesById: Object, scheduledById: Object}}
+ */
+function loadPlannerInput(reversed) {
+  const shiftRows = require(path.join(FIXTURES, "shifts.json"));
+  const employeeRows = require(path.join(FIXTURES, "employees.json"));
+  const assignmentRows = require(path.join(FIXTURES, "assignments.json"));
+
+  const shifts = [];
+  const candidates = [];
+  const employeesById = {};
+  const scheduledById = {};
+
+  for (let i = 0; i < shiftRows.length; i++) {
+    const employees = [];
+
+    for (let j = 0; j < assignmentRows.length; j++) {
+      if (assignmentRows[j].shiftId === shiftRows[i].shiftId) {
+        employees.push(assignmentRows[j].employeeId);
+      }
+    }
+
+    shifts.push({
+      _id: shiftRows[i].shiftId,
+      date: shiftRows[i].date,
+      startTime: shiftRows[i].startTime,
+      endTime: shiftRows[i].endTime,
+      requiredHeadcount: 2,
+      employees: employees
+    });
+  }
+
+  for (let i = 0; i < employeeRows.length; i++) {
+    const employee = { _id: employeeRows[i].employeeId, name: employeeRows[i].name, phone: employeeRows[i].phone };
+
+    candidates.push(employee);
+    employeesById[employee._id] = employee;
+    scheduledById[employee._id] = [];
+  }
+
+  for (let i = 0; i < shifts.length; i++) {
+    for (let j = 0; j < shifts[i].employees.length; j++) {
+      scheduledById[shifts[i].employees[j]].push(shifts[i]);
+    }
+  }
+
+  if (reversed) {
+    shifts.reverse();
+    candidates.reverse();
+  }
+
+  return { shifts: shifts, candidates: candidates, employeesById: employeesById, scheduledById: scheduledById };
+}
+
+/**
+ * Run the planner on the fixtures and reduce the result to plain ids.
+ *
+ * @param {boolean} reversed
+ * @returns {{assignments: Array<string>, unfilled: Array<string>}}
+ */
+function planFixtures(reversed) {
+  const input = loadPlannerInput(reversed);
+  const rules = business.getHourRules({ maxDailyHours: 9 }).rules;
+  const plan = business.planAssignments(input.shifts, input.candidates, input.employeesById, input.scheduledById, rules);
+  const assignments = [];
+  const unfilled = [];
+
+  for (let i = 0; i < plan.assignments.length; i++) {
+    assignments.push(plan.assignments[i].shift._id + " " + plan.assignments[i].employee._id);
+  }
+
+  for (let i = 0; i < plan.unfilled.length; i++) {
+    unfilled.push(plan.unfilled[i].shift._id + " " + plan.unfilled[i].missing);
+  }
+
+  return { assignments: assignments, unfilled: unfilled };
+}
+
+test("planAssignments gives the same plan every time", () => {
+  const first = planFixtures(false);
+  const second = planFixtures(false);
+
+  assert.ok(first.assignments.length > 0);
+  assert.deepStrictEqual(second, first);
+});
+
+test("planAssignments does not depend on the input order", () => {
+  assert.deepStrictEqual(planFixtures(true), planFixtures(false));
+});
+
+test("planAssignments fills every shift to its headcount without double-booking", () => {
+  const input = loadPlannerInput(false);
+  const rules = business.getHourRules({ maxDailyHours: 9 }).rules;
+  const plan = business.planAssignments(input.shifts, input.candidates, input.employeesById, input.scheduledById, rules);
+  const seen = {};
+
+  assert.deepStrictEqual(plan.unfilled, []);
+
+  for (let i = 0; i < plan.assignments.length; i++) {
+    const key = plan.assignments[i].shift._id + " " + plan.assignments[i].employee._id;
+
+    assert.ok(!seen[key], "assigned twice: " + key);
+    assert.ok(plan.assignments[i].shift.employees.indexOf(plan.assignments[i].employee._id) === -1);
+    seen[key] = true;
+  }
+});
\ No newline at end of file
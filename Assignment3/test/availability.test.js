@@ -0,0 +1,106 @@
+"use strict";
+
+// Weekly availability windows and approved time off.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+const RULES = business.getHourRules({ maxDailyHours: 12 }).rules;
+
+// 2026-01-05 is a Monday (day 0)
+const MONDAY = "2026-01-05";
+
+/**
+ * An employee available on Mondays from 09:00 to 17:00 and overnight
+ * from Friday 22:00 to Saturday 06:00, with the given time-off requests.
+ *
+ * @param {Array<Object>} timeOff
+ * @returns {Object}
+ */
+function employee(timeOff) {
+  return {
+    _id: "E001",
+    name: "Alex Morgan",
+    availability: [
+      { day: 0, startTime: "09:00", endTime: "17:00" },
+      { day: 4, startTime: "22:00", endTime: "06:00" }
+    ],
+    timeOff: timeOff || []
+  };
+}
+
+/**
+ * A shift nobody is on yet.
+ *
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @returns {Object}
+ */
+function shift(date, startTime, endTime) {
+  return { _id: "S1", date: date, startTime: startTime, endTime: endTime, employees: [] };
+}
+
+test("isWithinAvailability accepts shifts inside a window, edges included", () => {
+  assert.strictEqual(business.isWithinAvailability(employee(), shift(MONDAY, "09:00", "17:00")), true);
+  assert.strictEqual(business.isWithinAvailability(employee(), shift(MONDAY, "10:00", "12:00")), true);
+});
+
+test("isWithinAvailability refuses shifts outside a window or on other days", () => {
+  assert.strictEqual(business.isWithinAvailability(employee(), shift(MONDAY, "08:59", "12:00")), false);
+  assert.strictEqual(business.isWithinAvailability(employee(), shift(MONDAY, "12:00", "17:01")), false);
+  assert.strictEqual(business.isWithinAvailability(employee(), shift("2026-01-06", "10:00", "12:00")), false);
+});
+
+test("isWithinAvailability handles overnight windows", () => {
+  assert.strictEqual(business.isWithinAvailability(employee(), shift("2026-01-09", "23:00", "05:00")), true);
+  assert.strictEqual(business.isWithinAvailability(employee(), shift("2026-01-09", "23:00", "07:00")), false);
+});
+
+test("isWithinAvailability treats no windows as always available", () => {
+  assert.strictEqual(business.isWithinAvailability({ _id: "E002" }, shift("2026-01-06", "03:00", "04:00")), true);
+});
+
+test("findApprovedLeave finds approved time off covering the shift", () => {
+  const leave = { startDate: "2026-01-05", endDate: "2026-01-07", status: "approved" };
+
+  assert.strictEqual(business.findApprovedLeave(employee([leave]), shift(MONDAY, "09:00", "17:00")), leave);
+});
+
+test("findApprovedLeave checks the second day of an overnight shift", () => {
+  const leave = { startDate: "2026-01-10", endDate: "2026-01-10", status: "approved" };
+
+  assert.strictEqual(business.findApprovedLeave(employee([leave]), shift("2026-01-09", "23:00", "05:00")), leave);
+});
+
+test("findApprovedLeave ignores pending and rejected requests", () => {
+  const requests = [
+    { startDate: "2026-01-05", endDate: "2026-01-05", status: "pending" },
+    { startDate: "2026-01-05", endDate: "2026-01-05", status: "rejected" }
+  ];
+
+  assert.strictEqual(business.findApprovedLeave(employee(requests), shift(MONDAY, "09:00", "17:00")), null);
+});
+
+test("checkAssignment refuses shifts during approved leave", () => {
+  const leave = { startDate: "2026-01-05", endDate: "2026-01-05", status: "approved" };
+
+  assert.strictEqual(
+    business.checkAssignment(employee([leave]), shift(MONDAY, "09:00", "17:00"), [], RULES),
+    "Cannot assign shift: employee is on approved leave from 2026-01-05 to 2026-01-05"
+  );
+});
+
+test("checkAssignment lets a pending request through", () => {
+  const pending = { startDate: "2026-01-05", endDate: "2026-01-05", status: "pending" };
+
+  assert.strictEqual(business.checkAssignment(employee([pending]), shift(MONDAY, "09:00", "17:00"), [], RULES), "");
+});
+
+test("checkAssignment refuses shifts outside availability", () => {
+  assert.match(
+    business.checkAssignment(employee(), shift("2026-01-06", "09:00", "17:00"), [], RULES),
+    /outside the employee's availability \(Mon 09:00-17:00, Fri 22:00-06:00\)/
+  );
+});
\ No newline at end of file
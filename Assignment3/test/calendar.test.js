@@ -0,0 +1,40 @@
+"use strict";
+
+// iCalendar feed (buildICalendar).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+test("buildICalendar writes one event per valid shift", () => {
+  const employee = { _id: "E001", name: "Alex Morgan" };
+  const shifts = [
+    { _id: "S001", date: "2026-01-05", startTime: "09:00", endTime: "15:00" },
+    { _id: "S002", date: "2026-01-05", startTime: "22:00", endTime: "02:00" },
+    { _id: "S003", date: "2026-01-06", startTime: "bad", endTime: "15:00" }
+  ];
+  const ics = business.buildICalendar(employee, shifts);
+  const lines = ics.split("\r\n");
+
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.strictEqual(lines[0], "BEGIN:VCALENDAR");
+  assert.strictEqual(ics.split("BEGIN:VEVENT").length - 1, 2);
+  assert.ok(lines.indexOf("UID:S001-E001@restaurant-scheduler") !== -1);
+  assert.ok(lines.indexOf("DTSTART:20260105T090000") !== -1);
+  assert.ok(lines.indexOf("DTEND:20260105T150000") !== -1);
+  assert.ok(lines.indexOf("DTSTART:20260105T220000") !== -1);
+  assert.ok(lines.indexOf("DTEND:20260106T020000") !== -1);
+  assert.strictEqual(ics.indexOf("S003"), -1);
+});
+
+test("buildICalendar escapes text and folds long lines", () => {
+  const employee = { _id: "E001", name: "Morgan, Alex; " + "x".repeat(80) };
+  const lines = business.buildICalendar(employee, []).split("\r\n");
+
+  assert.ok(lines[5].startsWith("X-WR-CALNAME:Morgan\\, Alex\\; "));
+  assert.ok(lines[6].startsWith(" "));
+
+  for (let i = 0; i < lines.length; i++) {
+    assert.ok(Buffer.byteLength(lines[i]) <= 75);
+  }
+});
\ No newline at end of file
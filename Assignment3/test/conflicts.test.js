@@ -0,0 +1,89 @@
+"use strict";
+
+// Overlapping shifts and the minimum rest between shifts.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+const RULES = business.getHourRules({ maxDailyHours: 12, minRestHours: 11 }).rules;
+const EMPLOYEE = { _id: "E001", name: "Alex Morgan" };
+
+/**
+ * A shift with the given _id, date and times and nobody on it.
+ *
+ * @param {string} id
+ * @param {string} date
+ * @param {string} startTime
+ * @param {string} endTime
+ * @returns {Object}
+ */
+function shift(id, date, startTime, endTime) {
+  return { _id: id, date: date, startTime: startTime, endTime: endTime, employees: [] };
+}
+
+test("findShiftConflicts allows shifts that touch", () => {
+  const scheduled = [shift("S1", "2026-01-05", "09:00", "15:00")];
+
+  assert.deepStrictEqual(business.findShiftConflicts(scheduled, shift("S2", "2026-01-05", "15:00", "21:00"), null), []);
+});
+
+test("findShiftConflicts finds overlapping shifts on the same day", () => {
+  const scheduled = [shift("S1", "2026-01-05", "09:00", "15:00")];
+  const conflicts = business.findShiftConflicts(scheduled, shift("S2", "2026-01-05", "14:59", "21:00"), null);
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].type, "overlap");
+  assert.strictEqual(conflicts[0].message, "2026-01-05 14:59-21:00 overlaps 2026-01-05 09:00-15:00");
+});
+
+test("findShiftConflicts finds an overnight shift overlapping the next morning", () => {
+  const scheduled = [shift("S1", "2026-01-05", "22:00", "06:00")];
+  const conflicts = business.findShiftConflicts(scheduled, shift("S2", "2026-01-06", "05:00", "09:00"), null);
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].type, "overlap");
+});
+
+test("findShiftConflicts ignores the shift itself", () => {
+  const existing = shift("S1", "2026-01-05", "09:00", "15:00");
+
+  assert.deepStrictEqual(business.findShiftConflicts([existing], existing, 11), []);
+});
+
+test("findShiftConflicts allows rest of exactly minRestHours", () => {
+  const scheduled = [shift("S1", "2026-01-05", "13:00", "21:00")];
+
+  assert.deepStrictEqual(business.findShiftConflicts(scheduled, shift("S2", "2026-01-06", "08:00", "12:00"), 11), []);
+});
+
+test("findShiftConflicts reports rest just under minRestHours", () => {
+  const scheduled = [shift("S1", "2026-01-05", "13:00", "21:00")];
+  const conflicts = business.findShiftConflicts(scheduled, shift("S2", "2026-01-06", "07:59", "12:00"), 11);
+
+  assert.strictEqual(conflicts.length, 1);
+  assert.strictEqual(conflicts[0].type, "rest");
+  assert.match(conflicts[0].message, /^Only 10.98 hours rest between .* \(minimum 11\)$/);
+});
+
+test("findShiftConflicts measures rest after an overnight shift from its end", () => {
+  const scheduled = [shift("S1", "2026-01-05", "22:00", "06:00")];
+
+  assert.deepStrictEqual(business.findShiftConflicts(scheduled, shift("S2", "2026-01-06", "17:00", "21:00"), 11), []);
+  assert.strictEqual(business.findShiftConflicts(scheduled, shift("S2", "2026-01-06", "16:59", "21:00"), 11)[0].type, "rest");
+});
+
+test("checkAssignment refuses too little rest unless overridden", () => {
+  const scheduled = [shift("S1", "2026-01-05", "13:00", "21:00")];
+  const early = shift("S2", "2026-01-06", "06:00", "12:00");
+
+  assert.match(business.checkAssignment(EMPLOYEE, early, scheduled, RULES), /An override is required/);
+  assert.strictEqual(business.checkAssignment(EMPLOYEE, early, scheduled, RULES, { override: true }), "");
+});
+
+test("checkAssignment refuses an overlap even with an override", () => {
+  const scheduled = [shift("S1", "2026-01-05", "09:00", "15:00")];
+  const overlapping = shift("S2", "2026-01-05", "12:00", "18:00");
+
+  assert.match(business.checkAssignment(EMPLOYEE, overlapping, scheduled, RULES, { override: true }), /overlaps/);
+});
\ No newline at end of file
@@ -0,0 +1,128 @@
+"use strict";
+
+// Working hour rules: overnight shifts split across days, daily and
+// weekly limits, and overtime.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+/**
+ * Hour rules from a config object, failing the test if the config is invalid.
+ *
+ * @param {Object} config
+ * @returns {Object}
+ */
+function rulesFor(config) {
+  const hourRules = business.getHourRules(config);
+
+  assert.strictEqual(hourRules.error, "");
+  return hourRules.rules;
+}
+
+/**
+ * One shift of the given length on each date, starting at 08:00.
+ *
+ * @param {Array<string>} dates
+ * @param {string} endTime
+ * @returns {Array<Object>}
+ */
+function dayShifts(dates, endTime) {
+  const shifts = [];
+
+  for (let i = 0; i < dates.length; i++) {
+    shifts.push({ _id: "S" + i, date: dates[i], startTime: "08:00", endTime: endTime });
+  }
+
+  return shifts;
+}
+
+test("splitShiftByDay keeps a day shift on its date", () => {
+  assert.deepStrictEqual(
+    business.splitShiftByDay({ date: "2026-01-05", startTime: "09:00", endTime: "15:00" }),
+    [{ date: "2026-01-05", minutes: 360 }]
+  );
+});
+
+test("splitShiftByDay splits an overnight shift at midnight", () => {
+  assert.deepStrictEqual(
+    business.splitShiftByDay({ date: "2026-01-31", startTime: "22:00", endTime: "02:00" }),
+    [{ date: "2026-01-31", minutes: 120 }, { date: "2026-02-01", minutes: 120 }]
+  );
+});
+
+test("splitShiftByDay returns nothing for invalid times", () => {
+  assert.deepStrictEqual(business.splitShiftByDay({ date: "2026-01-05", startTime: "9am", endTime: "15:00" }), []);
+  assert.deepStrictEqual(business.splitShiftByDay({ date: "2026-01-05", startTime: "09:00", endTime: "09:00" }), []);
+});
+
+test("getHourRules requires maxDailyHours and positive optional limits", () => {
+  assert.ok(business.getHourRules({}).error);
+  assert.ok(business.getHourRules({ maxDailyHours: 9, maxWeeklyHours: -1 }).error);
+  assert.strictEqual(business.getHourRules({ maxDailyHours: 9 }).error, "");
+});
+
+test("checkHourRules allows a day of exactly maxDailyHours", () => {
+  const rules = rulesFor({ maxDailyHours: 9 });
+  const scheduled = [{ _id: "S1", date: "2026-01-05", startTime: "09:00", endTime: "13:00" }];
+
+  assert.strictEqual(business.checkHourRules(scheduled, { date: "2026-01-05", startTime: "14:00", endTime: "19:00" }, rules), "");
+});
+
+test("checkHourRules refuses a day over maxDailyHours", () => {
+  const rules = rulesFor({ maxDailyHours: 9 });
+  const scheduled = [{ _id: "S1", date: "2026-01-05", startTime: "09:00", endTime: "13:00" }];
+  const reason = business.checkHourRules(scheduled, { date: "2026-01-05", startTime: "14:00", endTime: "19:30" }, rules);
+
+  assert.match(reason, /maxDailyHours \(9\) would be exceeded on 2026-01-05 \(9\.5 hours\)/);
+});
+
+test("checkHourRules allows a week of exactly maxWeeklyHours", () => {
+  const rules = rulesFor({ maxDailyHours: 10, maxWeeklyHours: 40 });
+  const scheduled = dayShifts(["2026-01-05", "2026-01-06", "2026-01-07", "2026-01-08"], "16:00");
+
+  assert.strictEqual(business.checkHourRules(scheduled, { date: "2026-01-09", startTime: "08:00", endTime: "16:00" }, rules), "");
+});
+
+test("checkHourRules refuses a week over maxWeeklyHours", () => {
+  const rules = rulesFor({ maxDailyHours: 10, maxWeeklyHours: 40 });
+  const scheduled = dayShifts(["2026-01-05", "2026-01-06", "2026-01-07", "2026-01-08"], "16:00");
+  const reason = business.checkHourRules(scheduled, { date: "2026-01-09", startTime: "08:00", endTime: "16:30" }, rules);
+
+  assert.match(reason, /maxWeeklyHours \(40\) would be exceeded in the week of 2026-01-05/);
+});
+
+test("checkHourRules counts a Sunday overnight shift in both weeks", () => {
+  const rules = rulesFor({ maxDailyHours: 12, maxWeeklyHours: 40 });
+  // 32 hours from Tuesday to Friday of the week starting Monday 2026-01-12
+  const scheduled = dayShifts(["2026-01-13", "2026-01-14", "2026-01-15", "2026-01-16"], "16:00");
+
+  // 2 hours on Sunday 2026-01-11 and 4 on Monday: 36 hours in the second week
+  assert.strictEqual(business.checkHourRules(scheduled, { date: "2026-01-11", startTime: "22:00", endTime: "04:00" }, rules), "");
+
+  // 2 hours on Sunday and 9 on Monday: 41 hours in the second week
+  const reason = business.checkHourRules(scheduled, { date: "2026-01-11", startTime: "22:00", endTime: "09:00" }, rules);
+
+  assert.match(reason, /maxWeeklyHours \(40\) would be exceeded in the week of 2026-01-12/);
+});
+
+test("checkHourRules allows overtime unless allowOvertime is false", () => {
+  const shift = { date: "2026-01-05", startTime: "08:00", endTime: "18:00" };
+
+  assert.strictEqual(business.checkHourRules([], shift, rulesFor({ maxDailyHours: 10, overtimeDailyHours: 8 })), "");
+
+  const reason = business.checkHourRules([], shift, rulesFor({ maxDailyHours: 10, overtimeDailyHours: 8, allowOvertime: false }));
+
+  assert.match(reason, /overtime is not allowed and 2026-01-05 would go over 8 hours/);
+});
+
+test("checkHourRules refuses weekly overtime when allowOvertime is false", () => {
+  const rules = rulesFor({ maxDailyHours: 10, overtimeWeeklyHours: 30, allowOvertime: false });
+  const scheduled = dayShifts(["2026-01-05", "2026-01-06", "2026-01-07"], "16:00");
+
+  assert.strictEqual(business.checkHourRules(scheduled, { date: "2026-01-08", startTime: "08:00", endTime: "14:00" }, rules), "");
+  assert.match(
+    business.checkHourRules(scheduled, { date: "2026-01-08", startTime: "08:00", endTime: "15:00" }, rules),
+    /overtime is not allowed and the week of 2026-01-05 would go over 30 hours/
+  );
+});
\ No newline at end of file
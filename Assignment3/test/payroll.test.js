@@ -0,0 +1,62 @@
+"use strict";
+
+// Pay periods and the overtime split of the payroll report.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+test("getPayPeriod uses the default two-week periods", () => {
+  assert.deepStrictEqual(business.getPayPeriod({}, "2026-01-05"), { startDate: "2026-01-05", endDate: "2026-01-18", error: "" });
+  assert.deepStrictEqual(business.getPayPeriod({}, "2026-01-18"), { startDate: "2026-01-05", endDate: "2026-01-18", error: "" });
+  assert.deepStrictEqual(business.getPayPeriod({}, "2026-01-19"), { startDate: "2026-01-19", endDate: "2026-02-01", error: "" });
+});
+
+test("getPayPeriod handles dates before the first period", () => {
+  assert.deepStrictEqual(business.getPayPeriod({}, "2026-01-04"), { startDate: "2025-12-22", endDate: "2026-01-04", error: "" });
+});
+
+test("getPayPeriod reads payPeriod from config", () => {
+  const config = { payPeriod: { lengthDays: 7, firstStartDate: "2026-03-02" } };
+
+  assert.deepStrictEqual(business.getPayPeriod(config, "2026-03-10"), { startDate: "2026-03-09", endDate: "2026-03-15", error: "" });
+});
+
+test("getPayPeriod reports bad config and bad dates", () => {
+  assert.ok(business.getPayPeriod({ payPeriod: { lengthDays: 0 } }, "2026-01-05").error);
+  assert.ok(business.getPayPeriod({ payPeriod: { firstStartDate: "soon" } }, "2026-01-05").error);
+  assert.ok(business.getPayPeriod({}, "2026-02-30").error);
+});
+
+test("splitOvertime counts daily overtime", () => {
+  const rules = { overtimeDailyHours: 8 };
+  const minutesByDay = { "2026-01-05": 600, "2026-01-06": 300 };
+
+  assert.deepStrictEqual(
+    business.splitOvertime(minutesByDay, rules, "2026-01-05", "2026-01-18"),
+    { regularMinutes: 780, overtimeMinutes: 120 }
+  );
+});
+
+test("splitOvertime counts weekly overtime over the whole Monday-Sunday week", () => {
+  const rules = { overtimeWeeklyHours: 40 };
+  const minutesByDay = {};
+
+  // 6 x 8 hours from Monday 2026-01-05; the period starts on the Thursday,
+  // so Thursday and Friday are still regular and Saturday is overtime
+  for (let i = 0; i < 6; i++) {
+    minutesByDay[business.addDays("2026-01-05", i)] = 480;
+  }
+
+  assert.deepStrictEqual(
+    business.splitOvertime(minutesByDay, rules, "2026-01-08", "2026-01-11"),
+    { regularMinutes: 960, overtimeMinutes: 480 }
+  );
+});
+
+test("splitOvertime without overtime rules is all regular time", () => {
+  assert.deepStrictEqual(
+    business.splitOvertime({ "2026-01-05": 720 }, {}, "2026-01-05", "2026-01-11"),
+    { regularMinutes: 720, overtimeMinutes: 0 }
+  );
+});
\ No newline at end of file
@@ -0,0 +1,27 @@
+"use strict";
+
+// CSV export of the security log (csvValue).
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+
+test("csvValue quotes separators and quotes", () => {
+  assert.strictEqual(business.csvValue("plain"), "plain");
+  assert.strictEqual(business.csvValue("a,b"), "\"a,b\"");
+  assert.strictEqual(business.csvValue("say \"hi\""), "\"say \"\"hi\"\"\"");
+  assert.strictEqual(business.csvValue("two\nlines"), "\"two\nlines\"");
+});
+
+test("csvValue neutralises spreadsheet formulas", () => {
+  assert.strictEqual(business.csvValue("=SUM(A1:A2)"), "'=SUM(A1:A2)");
+  assert.strictEqual(business.csvValue("-5"), "'-5");
+  assert.strictEqual(business.csvValue("@cmd"), "'@cmd");
+});
+
+test("csvValue formats empty values and dates", () => {
+  assert.strictEqual(business.csvValue(undefined), "");
+  assert.strictEqual(business.csvValue(null), "");
+  assert.strictEqual(business.csvValue(0), "0");
+  assert.strictEqual(business.csvValue(new Date("2026-01-05T09:00:00Z")), "2026-01-05T09:00:00.000Z");
+});
\ No newline at end of file
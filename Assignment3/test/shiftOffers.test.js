@@ -0,0 +1,122 @@
+"use strict";
+
+// Manager approval of shift offers, with persistence replaced by an in-memory store.
+
+const test = require("node:test");
+const assert = require("node:assert");
+const business = require("../business");
+const persistence = require("../persistence");
+const { ConflictError } = require("../errors");
+
+/**
+ * Replace the persistence calls used by the offer functions with an
+ * in-memory store: Alex (E001) offered shift S1 and Sam (E002) accepted it.
+ *
+ * @param {Object} t - test context, so the mocks are restored afterwards
+ * @param {Array<Object>} takerShifts - shifts Sam already has
+ * @returns {Object} store with the offer, the shift and the status updates made
+ */
+function mockStore(t, takerShifts) {
+  const store = {
+    offer: { _id: "O1", shiftId: "S1", fromEmployeeId: "E001", takerId: "E002", status: "accepted" },
+    shift: { _id: "S1", date: "2026-01-05", startTime: "09:00", endTime: "17:00", employees: ["E001"] },
+    updates: [],
+    transferred: false
+  };
+  const employees = {
+    E001: { _id: "E001", name: "Alex Morgan" },
+    E002: { _id: "E002", name: "Sam Lee" }
+  };
+
+  t.mock.method(persistence, "getConfig", async () => ({ maxDailyHours: 12, minRestHours: 11 }));
+  t.mock.method(persistence, "findShiftOffer", async () => store.offer);
+  t.mock.method(persistence, "findShift", async () => store.shift);
+  t.mock.method(persistence, "findEmployee", async (empId) => employees[empId] || null);
+  t.mock.method(persistence, "getEmployeeShifts", async () => takerShifts);
+  t.mock.method(persistence, "updateShiftOfferStatus", async (offerId, fromStatus, fields) => {
+    if (store.offer.status !== fromStatus) {
+      return false;
+    }
+
+    store.updates.push(fields.status);
+    store.offer = Object.assign({}, store.offer, fields);
+    return true;
+  });
+  t.mock.method(persistence, "transferShift", async (shiftId, fromId, toId) => {
+    if (store.shift.employees.indexOf(fromId) === -1) {
+      return false;
+    }
+
+    store.shift = Object.assign({}, store.shift, { employees: [toId] });
+    store.transferred = true;
+    return true;
+  });
+
+  return store;
+}
+
+test("decideShiftOffer moves the shift to the taker on approval", async (t) => {
+  const store = mockStore(t, []);
+
+  await business.decideShiftOffer("O1", true, "admin1");
+
+  assert.deepStrictEqual(store.updates, ["approved"]);
+  assert.strictEqual(store.offer.decidedBy, "admin1");
+  assert.deepStrictEqual(store.shift.employees, ["E002"]);
+});
+
+test("decideShiftOffer checks the assignment rules again on approval", async (t) => {
+  // Sam picked up an overlapping shift after accepting the offer
+  const store = mockStore(t, [
+    { _id: "S2", date: "2026-01-05", startTime: "15:00", endTime: "21:00", employees: ["E002"] }
+  ]);
+
+  await assert.rejects(business.decideShiftOffer("O1", true, "admin1"), (err) => {
+    assert.ok(err instanceof ConflictError);
+    assert.match(err.message, /overlaps 2026-01-05 15:00-21:00/);
+    return true;
+  });
+
+  assert.deepStrictEqual(store.updates, []);
+  assert.strictEqual(store.offer.status, "accepted");
+  assert.strictEqual(store.transferred, false);
+});
+
+test("decideShiftOffer can still reject an offer that breaks the rules", async (t) => {
+  const store = mockStore(t, [
+    { _id: "S2", date: "2026-01-05", startTime: "15:00", endTime: "21:00", employees: ["E002"] }
+  ]);
+
+  await business.decideShiftOffer("O1", false, "admin1");
+
+  assert.deepStrictEqual(store.updates, ["rejected"]);
+  assert.strictEqual(store.transferred, false);
+});
+
+test("decideShiftOffer refuses a stale offer after the giver was unassigned", async (t) => {
+  const store = mockStore(t, []);
+  store.shift.employees = [];
+
+  await assert.rejects(business.decideShiftOffer("O1", true, "admin1"), {
+    name: "ConflictError",
+    message: "The employee who offered the shift is no longer assigned to it"
+  });
+
+  assert.deepStrictEqual(store.updates, []);
+  assert.strictEqual(store.offer.status, "accepted");
+});
+
+test("decideShiftOffer puts the offer back when the giver is unassigned during approval", async (t) => {
+  const store = mockStore(t, []);
+
+  // The check still sees the giver on the shift, the transfer no longer does
+  t.mock.method(persistence, "transferShift", async () => false);
+
+  await assert.rejects(business.decideShiftOffer("O1", true, "admin1"), {
+    name: "ConflictError",
+    message: "The employee who offered the shift is no longer assigned to it"
+  });
+
+  assert.deepStrictEqual(store.updates, ["approved", "accepted"]);
+  assert.strictEqual(store.offer.status, "accepted");
+});
\ No newline at end of file
@@ -1,21 +1,14 @@
 "use strict";
 
-const { MongoClient } = require("mongodb");
-const fs = require("fs/promises");
+const { getDb, closeDb } = require("./db");
 
 async function main() {
-  const cfgText = await fs.readFile("config.json", "utf8");
-  const cfg = JSON.parse(cfgText);
-
-  const client = new MongoClient(cfg.mongoUri);
-  await client.connect();
-
-  const db = client.db("infs3201_winter2026");
+  const db = await getDb();
   await db.command({ ping: 1 });
 
   console.log("MongoDB connected: OK");
 
-  await client.close();
+  await closeDb();
 }
 
 main().catch((err) => {
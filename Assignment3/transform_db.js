@@ -1,10 +1,4 @@
-const { MongoClient } = require("mongodb");
-const fs = require("fs/promises");
-
-async function readSettings() {
-    const data = await fs.readFile("config.json");
-    return JSON.parse(data);
-}
+const { getDb, closeDb } = require("./db");
 
 async function addEmptyEmployeesArray(shifts) {
 
@@ -86,19 +80,14 @@ async function removeUnnecessaryItems(db) {
 
 async function main() {
 
-    const settings = await readSettings();
-
-    const client = new MongoClient(settings.mongoUri);
-    await client.connect();
-
-    const db = client.db(settings.database);
+    const db = await getDb();
     const shifts = db.collection("shifts");
 
     await addEmptyEmployeesArray(shifts);
     await embedEmployeesIntoShifts(db);
     await removeUnnecessaryItems(db);
 
-    await client.close();
+    await closeDb();
 }
 
 main().catch(console.error);
\ No newline at end of file